@@ -0,0 +1,72 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+// same defaults as the SDK (src/sdk/endpoints/defaultEndpoints.js)
+const ENDPOINTS = {
+    live: {
+        tokenEndpoint: 'https://api.login.opencampus.xyz/auth/token',
+        jwksUrl: 'https://static.opencampus.xyz/jwks/jwks-live.json',
+    },
+    sandbox: {
+        tokenEndpoint: 'https://api.login.sandbox.opencampus.xyz/auth/token',
+        jwksUrl: 'https://static.opencampus.xyz/jwks/jwks-sandbox.json',
+    },
+};
+
+const TOKEN_EXCHANGES = ['ocid', 'standard'];
+const MIN_SESSION_SECRET_LENGTH = 32;
+
+const fail = (message) => {
+    throw new Error(`Invalid configuration: ${message}`);
+};
+
+const loadConfig = (env = process.env) => {
+    const sandbox = env.SANDBOX_MODE === 'true';
+    const defaults = sandbox ? ENDPOINTS.sandbox : ENDPOINTS.live;
+    const config = {
+        port: Number(env.PORT || 3000),
+        production: env.NODE_ENV === 'production',
+        sandbox,
+        // the SDK uses `sandbox` as client id when none is configured
+        clientId: env.CLIENT_ID || (sandbox ? 'sandbox' : ''),
+        clientSecret: env.CLIENT_SECRET || '',
+        tokenExchange: env.TOKEN_EXCHANGE || 'ocid',
+        tokenEndpoint: env.TOKEN_ENDPOINT || defaults.tokenEndpoint,
+        revokeEndpoint: env.REVOKE_ENDPOINT || '',
+        jwksUrl: env.JWKS_URL || defaults.jwksUrl,
+        issuer: env.ISSUER || 'OpenCampus',
+        verifyAccessToken: env.VERIFY_ACCESS_TOKEN === 'true',
+        serverUrl: env.SERVER_URL || `http://localhost:${env.PORT || 3000}`,
+        appScheme: env.APP_SCHEME || '',
+        sessionSecret: env.SESSION_SECRET || '',
+    };
+
+    if (!config.clientId) {
+        fail('CLIENT_ID is required in live mode');
+    }
+    if (!TOKEN_EXCHANGES.includes(config.tokenExchange)) {
+        fail(`TOKEN_EXCHANGE must be one of ${TOKEN_EXCHANGES.join(', ')}`);
+    }
+    if (!/^[a-z][a-z0-9+.-]*$/i.test(config.appScheme)) {
+        fail('APP_SCHEME must be the deep link scheme of the app, e.g. myapp');
+    }
+    if (config.sessionSecret.length < MIN_SESSION_SECRET_LENGTH) {
+        fail(`SESSION_SECRET must be at least ${MIN_SESSION_SECRET_LENGTH} characters`);
+    }
+    if (config.clientSecret && config.tokenExchange !== 'standard') {
+        fail('CLIENT_SECRET is only sent with TOKEN_EXCHANGE=standard');
+    }
+    return config;
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,133 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+const crypto = require('crypto');
+
+const JWKS_TTL_MS = 10 * 60 * 1000;
+const LEEWAY_SECONDS = 60;
+
+// JWS alg -> node:crypto verify parameters, `none` and HMAC are never accepted
+const ALGORITHMS = {
+    RS256: { kty: 'RSA', hash: 'sha256' },
+    PS256: { kty: 'RSA', hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+    ES256: { kty: 'EC', crv: 'P-256', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { kty: 'EC', crv: 'P-384', hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { kty: 'OKP', crv: 'Ed25519', hash: null },
+};
+
+class TokenVerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenVerificationError';
+    }
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const createJwksClient = (jwksUrl) => {
+    let cache = null;
+
+    const fetchKeys = async () => {
+        const response = await fetch(jwksUrl, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`JWKS request failed: ${response.status}`);
+        }
+        const { keys } = await response.json();
+        if (!Array.isArray(keys)) {
+            throw new Error('JWKS has no keys');
+        }
+        cache = { keys, expiresAt: Date.now() + JWKS_TTL_MS };
+        return keys;
+    };
+
+    // refetch once when the kid is unknown, the provider may have rotated its keys
+    return async (kid) => {
+        const cached = !!cache && cache.expiresAt > Date.now();
+        let keys = cached ? cache.keys : await fetchKeys();
+        let jwk = keys.find(key => key.kid === kid);
+        if (!jwk && cached) {
+            keys = await fetchKeys();
+            jwk = keys.find(key => key.kid === kid);
+        }
+        if (!jwk) {
+            throw new TokenVerificationError(`No key found for kid ${kid}`);
+        }
+        return jwk;
+    };
+};
+
+const verifySignature = (header, jwk, signingInput, signature) => {
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+        throw new TokenVerificationError(`Algorithm not allowed: ${header.alg}`);
+    }
+    if (jwk.kty !== algorithm.kty || (algorithm.crv && jwk.crv !== algorithm.crv)
+        || (jwk.alg && jwk.alg !== header.alg) || (jwk.use && jwk.use !== 'sig')) {
+        throw new TokenVerificationError(`Key ${jwk.kid} cannot verify ${header.alg}`);
+    }
+
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const valid = crypto.verify(algorithm.hash, Buffer.from(signingInput), {
+        key,
+        padding: algorithm.padding,
+        saltLength: algorithm.saltLength,
+        dsaEncoding: algorithm.dsaEncoding,
+    }, signature);
+    if (!valid) {
+        throw new TokenVerificationError('Invalid signature');
+    }
+};
+
+const validateClaims = (payload, { issuer, audience }) => {
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp + LEEWAY_SECONDS < now) {
+        throw new TokenVerificationError('Token expired');
+    }
+    if (payload.nbf !== undefined && (typeof payload.nbf !== 'number' || payload.nbf - LEEWAY_SECONDS > now)) {
+        throw new TokenVerificationError('Token not yet valid');
+    }
+    if (issuer && payload.iss !== issuer) {
+        throw new TokenVerificationError(`Unexpected issuer: ${payload.iss}`);
+    }
+    if (audience) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(audience)) {
+            throw new TokenVerificationError('Token was not issued to this client');
+        }
+    }
+};
+
+// verify a compact JWS against the JWKS and return its payload,
+// `audience` is skipped for access tokens whose audience is the API
+const createTokenVerifier = (jwksUrl) => {
+    const getKey = createJwksClient(jwksUrl);
+
+    return async (token, expected) => {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            throw new TokenVerificationError('Malformed token');
+        }
+
+        let header;
+        let payload;
+        try {
+            header = decodeSegment(parts[0]);
+            payload = decodeSegment(parts[1]);
+        } catch (e) {
+            throw new TokenVerificationError('Malformed token');
+        }
+
+        const jwk = await getKey(header.kid);
+        verifySignature(header, jwk, `${parts[0]}.${parts[1]}`, Buffer.from(parts[2], 'base64url'));
+        validateClaims(payload, expected);
+        return payload;
+    };
+};
+
+module.exports = { TokenVerificationError, createTokenVerifier };
@@ -0,0 +1,90 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+// calls from the proxy to the OCID (or RFC 6749) token server
+
+class UpstreamError extends Error {
+    constructor(message, status, body) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+const post = async (url, headers, body) => {
+    let response;
+    try {
+        response = await fetch(url, { method: 'POST', headers: Object.assign({ Accept: 'application/json' }, headers), body });
+    } catch (e) {
+        throw new UpstreamError(`Unable to reach ${url}`, 502, { error: 'temporarily_unavailable' });
+    }
+
+    const text = await response.text();
+    let data = {};
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch (e) {
+        throw new UpstreamError(`Invalid response from ${url}`, 502, { error: 'server_error' });
+    }
+    if (!response.ok) {
+        throw new UpstreamError(`${url} answered ${response.status}`, response.status, data);
+    }
+    return data;
+};
+
+const postJson = (url, body) => post(url, { 'Content-Type': 'application/json' }, JSON.stringify(body));
+
+// confidential clients authenticate with HTTP Basic (RFC 6749 2.3.1)
+const postForm = (config, url, params) => {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (config.clientSecret) {
+        const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    return post(url, headers, new URLSearchParams(params).toString());
+};
+
+const exchangeCode = (config, { code, codeVerifier, redirectUri }) => {
+    if (config.tokenExchange === 'standard') {
+        return postForm(config, config.tokenEndpoint, {
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            client_id: config.clientId,
+            code_verifier: codeVerifier,
+        });
+    }
+    return postJson(config.tokenEndpoint, { accessCode: code, codeVerifier });
+};
+
+const refreshTokens = (config, refreshToken) => {
+    if (config.tokenExchange === 'standard') {
+        return postForm(config, config.tokenEndpoint, {
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            client_id: config.clientId,
+        });
+    }
+    return postJson(config.tokenEndpoint, { refreshToken, clientId: config.clientId });
+};
+
+// RFC 7009, a no-op when the token server has no revocation endpoint
+const revokeToken = async (config, token, tokenTypeHint) => {
+    if (!config.revokeEndpoint) {
+        return;
+    }
+    await postForm(config, config.revokeEndpoint, {
+        token,
+        token_type_hint: tokenTypeHint,
+        client_id: config.clientId,
+    });
+};
+
+module.exports = { UpstreamError, exchangeCode, refreshTokens, revokeToken };
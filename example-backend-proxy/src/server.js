@@ -0,0 +1,219 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+const http = require('http');
+const { loadConfig } = require('./config');
+const { TokenVerificationError, createTokenVerifier } = require('./jwt');
+const { UpstreamError, exchangeCode, refreshTokens, revokeToken } = require('./oauth');
+const { createSessionStore } = require('./sessions');
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+class RequestError extends Error {
+    constructor(status, error, description) {
+        super(description || error);
+        this.status = status;
+        this.error = error;
+    }
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new RequestError(413, 'invalid_request', 'Request body too large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+// the SDK posts JSON to /token and /refresh and a form to /revoke
+const parseBody = async (req) => {
+    const raw = await readBody(req);
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+    try {
+        if (contentType === 'application/json') {
+            return raw ? JSON.parse(raw) : {};
+        }
+        if (contentType === 'application/x-www-form-urlencoded') {
+            return Object.fromEntries(new URLSearchParams(raw));
+        }
+    } catch (e) {
+        throw new RequestError(400, 'invalid_request', 'Malformed request body');
+    }
+    throw new RequestError(415, 'invalid_request', 'Unsupported content type');
+};
+
+const requireString = (body, name) => {
+    const value = body[name];
+    if (typeof value !== 'string' || !value) {
+        throw new RequestError(400, 'invalid_request', `${name} is required`);
+    }
+    return value;
+};
+
+// token responses must never be cached (RFC 6749 5.1)
+const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        Pragma: 'no-cache',
+    });
+    res.end(JSON.stringify(body));
+};
+
+const createApp = (config) => {
+    const sessions = createSessionStore(config.sessionSecret);
+    const verifyToken = createTokenVerifier(config.jwksUrl);
+
+    const assertClient = (body) => {
+        if (requireString(body, 'clientId') !== config.clientId) {
+            throw new RequestError(400, 'invalid_client', 'Unknown client');
+        }
+    };
+
+    // verify server side before anything reaches the app, the SDK verifies again
+    // (including the nonce, which only the app knows)
+    const verifyTokens = async (tokens, expectedSub) => {
+        let claims = null;
+        if (tokens.id_token) {
+            claims = await verifyToken(tokens.id_token, { issuer: config.issuer, audience: config.clientId });
+            if (expectedSub && claims.sub !== expectedSub) {
+                throw new TokenVerificationError('Renewed id_token belongs to another subject');
+            }
+        }
+        if (config.verifyAccessToken) {
+            await verifyToken(tokens.access_token, { issuer: config.issuer });
+        }
+        return claims;
+    };
+
+    // only what the SDK needs, the real refresh token is replaced by the session handle
+    const toSession = (tokens, handle) => {
+        const session = {
+            access_token: tokens.access_token,
+            token_type: tokens.token_type || 'Bearer',
+        };
+        if (tokens.id_token) {
+            session.id_token = tokens.id_token;
+        }
+        if (tokens.expires_in !== undefined) {
+            session.expires_in = tokens.expires_in;
+        }
+        if (handle) {
+            session.refresh_token = handle;
+        }
+        return session;
+    };
+
+    const routes = {
+        'POST /auth/token': async (body) => {
+            assertClient(body);
+            const redirectUri = requireString(body, 'redirectUri');
+            if (!redirectUri.startsWith(`${config.appScheme}:`)) {
+                throw new RequestError(400, 'invalid_request', 'redirectUri does not belong to this app');
+            }
+
+            const tokens = await exchangeCode(config, {
+                code: requireString(body, 'code'),
+                codeVerifier: requireString(body, 'codeVerifier'),
+                redirectUri,
+            });
+            if (!tokens.access_token || !tokens.id_token) {
+                throw new UpstreamError('Token response without access_token or id_token', 502, { error: 'server_error' });
+            }
+            const claims = await verifyTokens(tokens);
+            const handle = tokens.refresh_token ? sessions.create(tokens, claims.sub) : undefined;
+            return toSession(tokens, handle);
+        },
+
+        'POST /auth/refresh': async (body) => {
+            assertClient(body);
+            const handle = requireString(body, 'refreshToken');
+            const session = sessions.get(handle);
+            if (!session) {
+                throw new RequestError(400, 'invalid_grant', 'Unknown or revoked session');
+            }
+
+            const tokens = await refreshTokens(config, session.refreshToken);
+            if (!tokens.access_token) {
+                throw new UpstreamError('Refresh response without access_token', 502, { error: 'server_error' });
+            }
+            await verifyTokens(tokens, session.sub);
+            sessions.update(handle, tokens);
+            return toSession(tokens, handle);
+        },
+
+        // Only tokens bound to a session are forwarded with the proxy's client credentials: a session
+        // handle ends the session and revokes both of its tokens, an access token the proxy issued is
+        // revoked on its own. Anything else is answered 200 without effect (RFC 7009 2.2)
+        'POST /auth/revoke': async (body) => {
+            const token = requireString(body, 'token');
+            const session = sessions.remove(token);
+            if (session) {
+                await revokeToken(config, session.refreshToken, 'refresh_token');
+                await revokeToken(config, session.accessToken, 'access_token');
+            } else if (sessions.findByAccessToken(token)) {
+                await revokeToken(config, token, 'access_token');
+            }
+            return {};
+        },
+    };
+
+    return async (req, res) => {
+        const path = (req.url || '').split('?')[0];
+        if (req.method === 'GET' && path === '/health') {
+            sendJson(res, 200, { status: 'ok' });
+            return;
+        }
+
+        const route = routes[`${req.method} ${path}`];
+        if (!route) {
+            sendJson(res, 404, { error: 'not_found' });
+            return;
+        }
+
+        try {
+            sendJson(res, 200, await route(await parseBody(req)));
+            console.info(`${req.method} ${path} 200`);
+        } catch (error) {
+            // never log request bodies or tokens
+            if (error instanceof RequestError) {
+                console.warn(`${req.method} ${path} ${error.status} ${error.message}`);
+                sendJson(res, error.status, { error: error.error, error_description: error.message });
+            } else if (error instanceof UpstreamError) {
+                console.warn(`${req.method} ${path} upstream ${error.status} ${error.message}`);
+                // the token server's own OAuth error, e.g. invalid_grant for a spent code
+                sendJson(res, error.status >= 500 ? 502 : error.status, error.body);
+            } else if (error instanceof TokenVerificationError) {
+                console.error(`${req.method} ${path} token verification failed: ${error.message}`);
+                sendJson(res, 502, { error: 'server_error', error_description: 'Token verification failed' });
+            } else {
+                console.error(`${req.method} ${path} failed`, config.production ? error.message : error);
+                sendJson(res, 500, { error: 'server_error' });
+            }
+        }
+    };
+};
+
+if (require.main === module) {
+    const config = loadConfig();
+    http.createServer(createApp(config)).listen(config.port, () => {
+        console.info(`OCID token proxy (${config.sandbox ? 'sandbox' : 'live'}) listening on ${config.serverUrl}`);
+        console.info(`SDK option: tokenProxyUrl: '${config.serverUrl}/auth'`);
+    });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,87 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+const crypto = require('crypto');
+
+// refresh tokens stay on the server, the app only holds an opaque signed handle
+// that it presents as its refresh token. In memory for the reference server,
+// use a shared store (redis, a database) when running more than one instance
+const createSessionStore = (secret) => {
+    const sessions = new Map();
+    // access token -> session id, so an access token is only revoked for the session it was issued to
+    const accessTokens = new Map();
+
+    const sign = (id) => crypto.createHmac('sha256', secret).update(id).digest('base64url');
+
+    const parseHandle = (handle) => {
+        const [id, mac] = typeof handle === 'string' ? handle.split('.') : [];
+        if (!id || !mac) {
+            return null;
+        }
+        const expected = Buffer.from(sign(id));
+        const actual = Buffer.from(mac);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? id : null;
+    };
+
+    const setAccessToken = (id, session, accessToken) => {
+        accessTokens.delete(session.accessToken);
+        session.accessToken = accessToken;
+        accessTokens.set(accessToken, id);
+    };
+
+    const drop = (id) => {
+        const session = sessions.get(id) || null;
+        if (session) {
+            accessTokens.delete(session.accessToken);
+            sessions.delete(id);
+        }
+        return session;
+    };
+
+    return {
+        create(tokens, sub) {
+            const id = crypto.randomBytes(24).toString('base64url');
+            const session = { refreshToken: tokens.refresh_token, sub };
+            sessions.set(id, session);
+            setAccessToken(id, session, tokens.access_token);
+            return `${id}.${sign(id)}`;
+        },
+
+        get(handle) {
+            const id = parseHandle(handle);
+            return id ? sessions.get(id) || null : null;
+        },
+
+        // the token server may rotate refresh tokens, the handle stays the same
+        update(handle, tokens) {
+            const id = parseHandle(handle);
+            const session = id ? sessions.get(id) : null;
+            if (!session) {
+                return;
+            }
+            if (tokens.refresh_token) {
+                session.refreshToken = tokens.refresh_token;
+            }
+            setAccessToken(id, session, tokens.access_token);
+        },
+
+        remove(handle) {
+            const id = parseHandle(handle);
+            return id ? drop(id) : null;
+        },
+
+        // the session the proxy issued `accessToken` to, or null
+        findByAccessToken(accessToken) {
+            const id = accessTokens.get(accessToken);
+            return id ? sessions.get(id) || null : null;
+        },
+    };
+};
+
+module.exports = { createSessionStore };
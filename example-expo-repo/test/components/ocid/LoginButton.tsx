@@ -51,7 +51,7 @@ export default function LoginButton({ pill, disabled, theme = 'ocBlue', state, e
             try {
                 await ocAuth.signInWithRedirect({ state, emailPlaceholder });
             } catch (error: any) {
-                if (error.message.includes('SANDBOX_VERIFICATION_REQUIRED')) {
+                if (error.code === 'sandbox_wallet_error') {
                     // Handle sandbox verification error gracefully
                     console.warn('Sandbox verification required:', error.message);
                 } else {
@@ -8,14 +8,35 @@
  * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import AuthInfoManager from './lib/AuthInfoManager';
-import TokenManager from './lib/TokenManager';
+import TokenManager, { EVENT_TOKEN_RENEWED, EVENT_TOKEN_RENEW_ERROR } from './lib/TokenManager';
 import TransactionManager from './lib/TransactionManager';
+import { createAuthorizedFetch } from './lib/createAuthorizedFetch';
+import { getTokenProxyEndpoints, proxyTokenExchange } from './lib/tokenExchange';
+import PKCE, { DEFAULT_VERIFIER_BYTES } from './lib/pkce';
 import { getStorageClass } from './lib/StorageManager';
-import { createPkceMeta, parseJwt, prepareTokenParams } from './utils';
-import { buildAuthEndpointUrl } from './endpoints';
-import { AuthError, InvalidParamsError } from './utils/errors';
+import { configureLogger, createPkceMeta, decodeStateParameter, logger, parseJwt, prepareTokenParams } from './utils';
+import {
+    DISCOVERY_STORAGE_NAME,
+    LIVE_ENDPOINTS,
+    SANDBOX_ENDPOINTS,
+    buildAuthEndpointUrl,
+    buildLogoutEndpointUrl,
+    fetchDiscoveryDocument,
+} from './endpoints';
+import {
+    AuthCancelledError,
+    AuthError,
+    ConfigurationError,
+    ErrorCodes,
+    NetworkError,
+    UserInfoError,
+    createOAuthError,
+    toOCError,
+} from './utils/errors';
 import * as WebBrowser from 'expo-web-browser';
-import { makeRedirectUri } from 'expo-auth-session';
+
+// parameters we accept on the redirect back from the login server
+const REDIRECT_PARAMS = ['id_token', 'code', 'state', 'error', 'error_description', 'error_uri'];
 
 export class OCAuthCore {
     clientId;
@@ -25,148 +46,265 @@ export class OCAuthCore {
     redirectUri;
     loginEndPoint;
     logoutEndPoint;
+    userInfoEndPoint;
     referralCode;
+    offlineAccess;
+    pkceVerifierBytes;
+    issuer;
+    discoveryMetadata;
     initialized;
+    _authorizedFetch;
+    _endpointOverrides;
+    _discoveryStorageManager;
+    _discoveryPromise;
 
-    constructor(clientId, loginEndpoint, redirectUri, transactionManager, tokenManager, referralCode, logoutEndPoint) {
+    constructor(clientId, loginEndpoint, redirectUri, transactionManager, tokenManager, referralCode, logoutEndPoint, options = {}) {
         if (!clientId) {
-            throw new InvalidParamsError('clientId is not defined');
+            throw new ConfigurationError('clientId is not defined');
         }
         this.transactionManager = transactionManager;
         this.tokenManager = tokenManager;
         this.authInfoManager = new AuthInfoManager();
         this.loginEndPoint = loginEndpoint;
         this.logoutEndPoint = logoutEndPoint;
+        this.userInfoEndPoint = options.userInfoEndPoint;
         this.redirectUri = redirectUri;
         this.referralCode = referralCode;
         this.clientId = clientId;
+        this.offlineAccess = options.offlineAccess !== false;
+        this.pkceVerifierBytes = PKCE.validateVerifierBytes(options.pkceVerifierBytes ?? DEFAULT_VERIFIER_BYTES);
         this.initialized = false;
-        
-        console.log('🔧 [OCID SDK DEBUG] OCAuth initialized with endpoints:');
-        console.log('🔧 [OCID SDK DEBUG] - Client ID:', clientId);
-        console.log('🔧 [OCID SDK DEBUG] - Login Endpoint:', loginEndpoint);
-        console.log('🔧 [OCID SDK DEBUG] - Logout Endpoint:', logoutEndPoint);
-        console.log('🔧 [OCID SDK DEBUG] - Redirect URI:', redirectUri);
-        console.log('🔧 [OCID SDK DEBUG] - Referral Code:', referralCode || '(none)');
+
+        // endpoints come from, in order: explicit options, issuer discovery, the built in defaults
+        this.issuer = options.issuer;
+        this.discoveryMetadata = null;
+        this._endpointOverrides = {
+            loginEndPoint: options.loginEndPoint,
+            logoutEndPoint: options.logoutEndPoint,
+            tokenEndPoint: options.tokenEndPoint,
+            refreshTokenEndPoint: options.refreshTokenEndPoint,
+            revokeEndPoint: options.revokeEndPoint,
+            jwksUrl: options.jwksUrl,
+            userInfoEndPoint: options.userInfoEndPoint,
+        };
+        this._discoveryStorageManager = options.discoveryStorageManager;
+        this._discoveryPromise = null;
+
+        // keep the auth state in step with silent renewals, nobody awaits these so failures are logged
+        this.tokenManager.subscribe(EVENT_TOKEN_RENEWED, () => {
+            this.syncAuthInfo().catch(error => logger.error('Auth state sync after renewal failed:', error));
+        });
+        this.tokenManager.subscribe(EVENT_TOKEN_RENEW_ERROR, (renewError) => {
+            this.handleRenewError(renewError).catch(error => {
+                logger.error('Handling the renewal failure failed, signing out:', error);
+                this.clearSession().catch(clearError => logger.error('Clearing the session failed:', clearError));
+            });
+        });
+
+        logger.debug('OCAuth initialized with endpoints:', {
+            clientId,
+            loginEndpoint,
+            logoutEndPoint,
+            redirectUri,
+            referralCode: referralCode || '(none)',
+        });
     }
 
     async initialize() {
         if (!this.initialized) {
+            await this.resolveEndpoints();
+            await this.tokenManager.migrateLegacyStorage();
+            await this.transactionManager.migrateLegacyStorage();
+            await this.tokenManager.migrateSchema();
+            await this.transactionManager.migrateSchema();
             await this.syncAuthInfo();
             this.initialized = true;
         }
     }
 
+    // fetch the issuer metadata and apply its endpoints, failures are thrown
+    async discover({ forceRefresh = false } = {}) {
+        if (!this.issuer) {
+            throw new ConfigurationError('issuer is not defined, discovery is unavailable');
+        }
+        const metadata = await fetchDiscoveryDocument(this.issuer, {
+            store: this._discoveryStorageManager && this._discoveryStorageManager.getStorageObject(),
+            forceRefresh,
+        });
+
+        const overrides = this._endpointOverrides;
+        this.loginEndPoint = overrides.loginEndPoint || metadata.authorization_endpoint;
+        this.logoutEndPoint = overrides.logoutEndPoint || metadata.end_session_endpoint || this.logoutEndPoint;
+        this.userInfoEndPoint = overrides.userInfoEndPoint || metadata.userinfo_endpoint || this.userInfoEndPoint;
+        this.tokenManager.useDiscoveryMetadata(metadata, overrides);
+        this.discoveryMetadata = metadata;
+        logger.debug('Endpoints resolved from issuer metadata:', { issuer: this.issuer });
+        return metadata;
+    }
+
+    // discover once when an issuer is configured; on failure keep the defaults and retry next time
+    async resolveEndpoints() {
+        if (!this.issuer || this.discoveryMetadata) {
+            return;
+        }
+        if (!this._discoveryPromise) {
+            this._discoveryPromise = this.discover()
+                .catch(error => {
+                    logger.warn('Issuer discovery failed, using default endpoints:', error);
+                })
+                .finally(() => {
+                    this._discoveryPromise = null;
+                });
+        }
+        await this._discoveryPromise;
+    }
+
     async clearStorage() {
         await this.tokenManager.clear();
         await this.transactionManager.clear();
     }
 
+    // Each step reports 'success', 'failed', 'skipped' (not requested / nothing to do)
+    // or 'unsupported' (no revocation endpoint configured); local state is always cleared
     async logout(logoutReturnTo, skipBrowserLogout = false) {
+        await this.resolveEndpoints();
+        const result = {
+            revocation: 'skipped',
+            endSession: 'skipped',
+            localCleared: false,
+        };
+        const idToken = await this.tokenManager.getIdToken();
+
+        // revoke while we still hold the tokens
+        if (idToken || await this.tokenManager.getAccessToken()) {
+            try {
+                result.revocation = (await this.tokenManager.revokeTokens()) ? 'success' : 'unsupported';
+            } catch (e) {
+                logger.warn('Logout: token revocation failed', e);
+                result.revocation = 'failed';
+            }
+        }
+
+        // end the OCID session so the next login does not silently reuse its cookie
+        if (!skipBrowserLogout && this.logoutEndPoint) {
+            const returnTo = logoutReturnTo || this.redirectUri;
+            const logoutUrl = buildLogoutEndpointUrl({ clientId: this.clientId, returnTo, idToken }, this.logoutEndPoint);
+            try {
+                const browserResult = await WebBrowser.openAuthSessionAsync(logoutUrl, returnTo, {
+                    createTask: false,
+                    preferEphemeralSession: true,
+                });
+                result.endSession = browserResult.type === 'success' ? 'success' : 'failed';
+            } catch (e) {
+                logger.warn('Logout: end session request failed', e);
+                result.endSession = 'failed';
+            }
+        }
 
-        
         // Clear local storage and auth state
         await this.clearStorage();
-        console.log('✅ [OCID SDK | LOGOUT DEBUG] Local storage cleared');
         
         // Clear auth info manager state to trigger UI updates
-        console.log('🚪 [OCID SDK | LOGOUT DEBUG] Clearing auth info manager...');
         this.authInfoManager.clear();
-        console.log('✅ [OCID SDK | LOGOUT DEBUG] Auth info manager cleared (UI will update)');
-        
+        result.localCleared = true;
+        logger.info('Logout complete:', result);
+
+        return result;
     }
 
     async signInWithRedirect(params) {
-        console.log('🔐 [OCID SDK | SIGNIN] ========================================');
-        console.log('🔐 [OCID SDK | SIGNIN] Starting signInWithRedirect');
-        console.log('🔐 [OCID SDK | SIGNIN] Input params:', JSON.stringify(params, null, 2));
+        logger.debug('Starting signInWithRedirect with params:', params);
+        await this.resolveEndpoints();
 
         const paramsClone = Object.assign({}, params);
         paramsClone.redirectUri = this.redirectUri;
         paramsClone.clientId = this.clientId;
+        paramsClone.offlineAccess = this.offlineAccess;
+        paramsClone.pkceVerifierBytes = this.pkceVerifierBytes;
         const signinParams = await prepareTokenParams(paramsClone);
         const meta = createPkceMeta(signinParams);
         await this.transactionManager.save(meta);
         signinParams.referralCode = this.referralCode;
         signinParams.emailPlaceholder = paramsClone.emailPlaceholder;
         
-        console.log('📧 [OCID SDK | SIGNIN] Email Placeholder:', signinParams.emailPlaceholder || '(not provided)');
-        console.log('🔗 [OCID SDK | SIGNIN] Referral Code:', signinParams.referralCode || '(not provided)');
-        
         if (params.forceLogin) {
             signinParams.prompt = 'login';
         }
         
         const requestUrl = buildAuthEndpointUrl(signinParams, this.loginEndPoint);
-        
-        console.log('🌐 [OCID SDK | SIGNIN] Full Request URL:', requestUrl);
-        console.log('🔐 [OCID SDK | SIGNIN] ========================================');
+        logger.debug('Opening auth browser:', requestUrl);
         
         // Open in-app browser and wait for redirect
-        console.log('🌐 [OCID SDK | AUTH DEBUG] Opening WebBrowser.openAuthSessionAsync...');
         const result = await WebBrowser.openAuthSessionAsync(requestUrl, this.redirectUri, {
             createTask: false,
             preferEphemeralSession: true,
         });
-        
-        console.log('📱 [OCID SDK | AUTH DEBUG] WebBrowser result:', {
-            type: result.type,
-            url: result.url
-        });
+        logger.debug('Auth browser result:', { type: result.type, url: result.url });
         
         if (result.type === 'success' && result.url) {
-            console.log('✅ [OCID SDK | AUTH DEBUG] Auth browser returned success');
-            console.log('🔙 [OCID SDK | AUTH DEBUG] Redirect URL received:', result.url);
             // Handle the callback directly
             return await this.handleLoginRedirect(result.url);
-        } else if (result.type === 'cancel') {
-            console.log('❌ [OCID SDK | AUTH DEBUG] User cancelled authentication');
-            throw new AuthError('Authentication was cancelled');
+        } else if (result.type === 'cancel' || result.type === 'dismiss') {
+            logger.info('User cancelled authentication');
+            throw new AuthCancelledError('Authentication was cancelled');
         } else {
-            console.log('❌ [OCID SDK | AUTH DEBUG] Authentication failed with type:', result.type);
-            throw new AuthError('Authentication failed');
+            logger.error('Authentication failed with browser result type:', result.type);
+            throw new AuthError('Authentication failed', { code: ErrorCodes.AUTH_FAILED });
         }
     }
 
     async handleLoginRedirect(url) {
-        console.log('🔄 [OCID SDK | AUTH DEBUG] ========== Handling Login Redirect ==========');
-        console.log('🔙 [OCID SDK | AUTH DEBUG] Full redirect URL:', url);
+        logger.debug('Handling login redirect:', url);
+        await this.resolveEndpoints();
         
         // For React Native, URL will be passed from deep link handler
         const urlParams = this.parseUrlFromString(url);
+
+        // the login server reported a failure instead of issuing a code
+        if (urlParams.error) {
+            const meta = await this.transactionManager.getTransactionMeta();
+            // a forged error redirect (missing or wrong state) must not abort the real pending login
+            decodeStateParameter(urlParams.state, meta.csrfToken);
+            await this.transactionManager.clear();
+            logger.error('Login server returned error:', urlParams.error, urlParams.error_description);
+            throw createOAuthError(urlParams);
+        }
         
         // Again we only handle PKCE code flow
         if (urlParams.code) {
             
             const meta = await this.transactionManager.getTransactionMeta();
             
-            const { codeVerifier } = meta;
+            const { codeVerifier, csrfToken, nonce, maxAge } = meta;
             if (codeVerifier) {
+                // reject redirects that were not started by this device before spending the code
+                const appState = decodeStateParameter(urlParams.state, csrfToken);
                 
                 // we used pkce mode, use it
-                await this.tokenManager.exchangeTokenFromCode(urlParams.code, codeVerifier, urlParams.state);
-                console.log('✅ [OCID SDK | AUTH DEBUG] Token exchange successful');
+                await this.tokenManager.exchangeTokenFromCode(urlParams.code, codeVerifier, appState, nonce, maxAge);
+                logger.debug('Token exchange successful');
                 
                 // clear transaction meta, coz it's completed
                 await this.transactionManager.clear();
                 await this.syncAuthInfo();
                 
                 const authState = await this.getAuthState();
-                console.log('✅ [OCID SDK | AUTH DEBUG] Auth state synced:', {
+                logger.info('Authentication complete:', {
                     isAuthenticated: authState.isAuthenticated,
                     OCId: authState.OCId,
                     ethAddress: authState.ethAddress
                 });
-                console.log('🎉 [OCID SDK | AUTH DEBUG] ========== Authentication Complete ==========');
                 
                 return authState;
             } else {
-                console.log('❌ [AUTH DEBUG] codeVerifier not found in transaction meta!');
-                throw new AuthError('codeVerifier not found, cannot complete flow');
+                logger.error('codeVerifier not found in transaction meta');
+                throw new AuthError('codeVerifier not found, cannot complete flow', {
+                    code: ErrorCodes.TRANSACTION_NOT_FOUND,
+                });
             }
         }
 
-        console.log('⚠️ [AUTH DEBUG] No authorization code found in redirect URL');
+        logger.warn('No authorization code found in redirect URL');
         // no code found, nothing to do
         return {};
     }
@@ -175,12 +313,18 @@ export class OCAuthCore {
         if (!urlString) return {};
         try {
             const url = new URL(urlString);
-            const urlParams = new URLSearchParams(url.search);
             const validParams = {};
-            
-            if (urlParams.has('id_token')) validParams.id_token = urlParams.get('id_token');
-            if (urlParams.has('code')) validParams.code = urlParams.get('code');
-            if (urlParams.has('state')) validParams.state = urlParams.get('state');
+            // query for response_mode=query, fragment for response_mode=fragment
+            const sources = [
+                new URLSearchParams(url.search),
+                new URLSearchParams(url.hash.replace(/^#/, '')),
+            ];
+
+            sources.forEach(urlParams => {
+                REDIRECT_PARAMS.forEach(name => {
+                    if (urlParams.has(name)) validParams[name] = urlParams.get(name);
+                });
+            });
             
             return validParams;
         } catch (e) {
@@ -194,6 +338,14 @@ export class OCAuthCore {
     }
 
     async syncAuthInfo() {
+        if (await this.tokenManager.hasExpired() && await this.tokenManager.canRenew()) {
+            try {
+                await this.tokenManager.renewTokens();
+            } catch (e) {
+                // renewal failures are emitted as EVENT_TOKEN_RENEW_ERROR, fall through as signed out
+            }
+        }
+
         if (await this.tokenManager.hasExpired()) {
             this.authInfoManager.clear();
         } else {
@@ -203,15 +355,99 @@ export class OCAuthCore {
                 await this.getIdToken(),
                 edu_username,
                 eth_address,
-                true
+                true,
+                await this.tokenManager.getCachedUserInfo()
             );
+            await this.tokenManager.resumeRenewal();
         }
     }
 
+    async renewTokens() {
+        return await this.tokenManager.renewTokens();
+    }
+
+    // the session is over once the token server refused the refresh token (4xx, e.g. invalid_grant),
+    // none is held or the tokens expired; network and server failures keep it until expiry
+    async handleRenewError(error) {
+        const refused = !!error && error.status >= 400 && error.status < 500;
+        if (refused || !(await this.tokenManager.getRefreshToken()) || await this.tokenManager.hasExpired()) {
+            logger.warn('Token renewal failed, signing out');
+            await this.clearSession();
+        }
+    }
+
+    // local sign out: the stored tokens go too, so the next initialize() cannot restore the session
+    // or retry a refresh token the server already refused
+    async clearSession() {
+        this.authInfoManager.clear();
+        await this.tokenManager.clear();
+    }
+
+    // keys used for verification when the remote JWKS is unreachable (or always, per jwksPolicy)
+    setPinnedJwks(jwks) {
+        this.tokenManager.setPinnedJwks(jwks);
+    }
+
+    // fetch with the access token attached, see createAuthorizedFetch
+    async fetch(input, init) {
+        if (!this._authorizedFetch) {
+            this._authorizedFetch = createAuthorizedFetch(this);
+        }
+        return await this._authorizedFetch(input, init);
+    }
+
     getAuthState() {
         return this.authInfoManager.getAuthState();
     }
 
+    // OIDC userinfo of the signed in user. The response is cached until the tokens change
+    // or the user logs out, and is merged into the auth state as `userInfo`
+    async getUserInfo({ forceRefresh = false } = {}) {
+        await this.resolveEndpoints();
+        if (!this.userInfoEndPoint) {
+            throw new ConfigurationError('userInfoEndPoint is not defined and the issuer metadata has none');
+        }
+        if (!forceRefresh) {
+            const cached = await this.tokenManager.getCachedUserInfo();
+            if (cached) {
+                return cached;
+            }
+        }
+
+        // the authorized fetch renews an expired or rejected access token once
+        let response;
+        try {
+            response = await this.fetch(this.userInfoEndPoint, { headers: { Accept: 'application/json' } });
+        } catch (error) {
+            throw toOCError(error, NetworkError, 'Unable to reach ' + this.userInfoEndPoint);
+        }
+        if (!response.ok) {
+            throw new UserInfoError('Userinfo request failed: ' + response.status, { status: response.status });
+        }
+        let userInfo;
+        try {
+            userInfo = await response.json();
+        } catch (error) {
+            throw new UserInfoError('Invalid userinfo response', { cause: error, status: response.status });
+        }
+        if (!userInfo || typeof userInfo !== 'object' || Array.isArray(userInfo)) {
+            throw new UserInfoError('Invalid userinfo response', { status: response.status });
+        }
+
+        // OIDC core 5.3.4, claims about another subject must not be used
+        const { sub } = await this.getParsedIdToken();
+        if (!sub || userInfo.sub !== sub) {
+            throw new UserInfoError('Userinfo subject does not match the id_token', {
+                code: ErrorCodes.USERINFO_SUBJECT_MISMATCH,
+            });
+        }
+
+        if (await this.tokenManager.saveUserInfo(userInfo)) {
+            this.authInfoManager.setUserInfo(userInfo);
+        }
+        return userInfo;
+    }
+
     async getStateParameter() {
         return await this.tokenManager.getStateParameter();
     }
@@ -251,65 +487,116 @@ export class OCAuthCore {
         const info = this.authInfoManager.getAuthState();
         return info.ethAddress ?? null;
     }
+
+    get userInfo() {
+        const info = this.authInfoManager.getAuthState();
+        return info.userInfo ?? null;
+    }
 }
 
-// JWKS URLs for secure JWT verification
-const JWKS_LIVE_URL = 'https://static.opencampus.xyz/jwks/jwks-live.json';
-const JWKS_SANDBOX_URL = 'https://static.opencampus.xyz/jwks/jwks-sandbox.json';
 export class OCAuthLive extends OCAuthCore {
     constructor(opts = {}) {
-        console.log('🚀 [OCID SDK] ========================================');
-        console.log('🚀 [OCID SDK] Initializing LIVE/PRODUCTION SDK');
-        console.log('🚀 [OCID SDK] ========================================');
-        
+        // alias of configureLogger(), the logger stays process wide; configured first so the
+        // rest of construction honors the level and sink
+        configureLogger(opts.logger);
+
         const {
             tokenEndPoint: overrideTokenEndpoint,
             loginEndPoint: overrideLoginEndpoint,
             logoutEndPoint: overrideLogoutEndpoint,
             jwksUrl: overrideJwksUrl,
+            refreshTokenEndPoint,
+            revokeEndPoint,
             redirectUri,
             referralCode,
             clientId,
+            tokenProxyUrl,
         } = opts;
-        const tokenEndpoint = overrideTokenEndpoint || 'https://api.login.opencampus.xyz/auth/token';
-        const loginEndpoint = overrideLoginEndpoint || 'https://api.login.opencampus.xyz/auth/login';
-        const logoutEndpoint = overrideLogoutEndpoint || 'https://api.login.opencampus.xyz/auth/logout';
-        const jwksUrl = overrideJwksUrl || JWKS_LIVE_URL;
+        if (tokenProxyUrl && opts.tokenExchange) {
+            throw new ConfigurationError('tokenProxyUrl and tokenExchange cannot be combined');
+        }
+        // the proxy exchanges, refreshes and revokes on the app's behalf so client secrets stay on the server
+        const proxy = tokenProxyUrl ? getTokenProxyEndpoints(tokenProxyUrl) : {};
+        const refreshEndpoint = refreshTokenEndPoint || proxy.refreshTokenEndPoint;
+        const revokeEndpoint = revokeEndPoint || proxy.revokeEndPoint;
+        const tokenEndpoint = proxy.tokenEndPoint || overrideTokenEndpoint || LIVE_ENDPOINTS.tokenEndPoint;
+        const loginEndpoint = overrideLoginEndpoint || LIVE_ENDPOINTS.loginEndPoint;
+        const logoutEndpoint = overrideLogoutEndpoint || LIVE_ENDPOINTS.logoutEndPoint;
+        const jwksUrl = overrideJwksUrl || LIVE_ENDPOINTS.jwksUrl;
 
+        // keep live and sandbox sessions (and different clients) apart in storage
+        const storageNamespace = `live:${clientId}`;
         const storageClass = getStorageClass(opts);
-        const pkceTransactionManager = new TransactionManager(storageClass);
-        const tokenManager = new TokenManager(storageClass, tokenEndpoint, jwksUrl, clientId);
-        super(clientId, loginEndpoint, redirectUri, pkceTransactionManager, tokenManager, referralCode, logoutEndpoint);
-        
-        console.log('✅ [OCID SDK] LIVE/PRODUCTION SDK initialized successfully');
+        const pkceTransactionManager = new TransactionManager(storageClass, storageNamespace);
+        const tokenManager = new TokenManager(storageClass, tokenEndpoint, jwksUrl, clientId, {
+            storageNamespace,
+            refreshTokenEndPoint: refreshEndpoint,
+            revokeEndPoint: revokeEndpoint,
+            autoRenew: opts.autoRenew,
+            renewBeforeSeconds: opts.renewBeforeSeconds,
+            pinnedJwks: opts.pinnedJwks,
+            jwksPolicy: opts.jwksPolicy,
+            allowedAlgorithms: opts.allowedAlgorithms,
+            claimsPolicy: opts.claimsPolicy,
+            accessTokenPolicy: opts.accessTokenPolicy,
+            tokenExchange: tokenProxyUrl ? proxyTokenExchange : opts.tokenExchange,
+            redirectUri,
+        });
+        const discoveryStorageManager = opts.issuer ? new storageClass(DISCOVERY_STORAGE_NAME) : undefined;
+        super(clientId, loginEndpoint, redirectUri, pkceTransactionManager, tokenManager, referralCode, logoutEndpoint,
+            Object.assign({}, opts, {
+                discoveryStorageManager,
+                tokenEndPoint: proxy.tokenEndPoint || overrideTokenEndpoint,
+                refreshTokenEndPoint: refreshEndpoint,
+                revokeEndPoint: revokeEndpoint,
+            }));
+        logger.info('live/production SDK initialized');
     }
 }
 
 export class OCAuthSandbox extends OCAuthCore {
     constructor(opts = {}) {
-        console.log('🧪 [OCID SDK] ========================================');
-        console.log('🧪 [OCID SDK] Initializing SANDBOX SDK');
-        console.log('🧪 [OCID SDK] ========================================');
-        
+        // alias of configureLogger(), the logger stays process wide; configured first so the
+        // rest of construction honors the level and sink
+        configureLogger(opts.logger);
+
         const {
             tokenEndPoint: overrideTokenEndpoint,
             loginEndPoint: overrideLoginEndpoint,
             logoutEndPoint: overrideLogoutEndpoint,
             jwksUrl: overrideJwksUrl,
+            refreshTokenEndPoint,
+            revokeEndPoint,
             redirectUri,
             referralCode,
         } = opts;
         const clientId = opts.clientId || 'sandbox';
-        const tokenEndpoint = overrideTokenEndpoint || 'https://api.login.sandbox.opencampus.xyz/auth/token';
-        const loginEndpoint = overrideLoginEndpoint || 'https://api.login.sandbox.opencampus.xyz/auth/login';
-        const logoutEndpoint = overrideLogoutEndpoint || 'https://api.login.sandbox.opencampus.xyz/auth/logout';
-        const jwksUrl = overrideJwksUrl || JWKS_SANDBOX_URL;
+        const tokenEndpoint = overrideTokenEndpoint || SANDBOX_ENDPOINTS.tokenEndPoint;
+        const loginEndpoint = overrideLoginEndpoint || SANDBOX_ENDPOINTS.loginEndPoint;
+        const logoutEndpoint = overrideLogoutEndpoint || SANDBOX_ENDPOINTS.logoutEndPoint;
+        const jwksUrl = overrideJwksUrl || SANDBOX_ENDPOINTS.jwksUrl;
 
+        // keep live and sandbox sessions (and different clients) apart in storage
+        const storageNamespace = `sandbox:${clientId}`;
         const storageClass = getStorageClass(opts);
-        const pkceTransactionManager = new TransactionManager(storageClass);
-        const tokenManager = new TokenManager(storageClass, tokenEndpoint, jwksUrl, clientId);
-        super(clientId, loginEndpoint, redirectUri, pkceTransactionManager, tokenManager, referralCode, logoutEndpoint);
-        
-        console.log('✅ [OCID SDK] SANDBOX SDK initialized successfully');
+        const pkceTransactionManager = new TransactionManager(storageClass, storageNamespace);
+        const tokenManager = new TokenManager(storageClass, tokenEndpoint, jwksUrl, clientId, {
+            storageNamespace,
+            refreshTokenEndPoint,
+            revokeEndPoint,
+            autoRenew: opts.autoRenew,
+            renewBeforeSeconds: opts.renewBeforeSeconds,
+            pinnedJwks: opts.pinnedJwks,
+            jwksPolicy: opts.jwksPolicy,
+            allowedAlgorithms: opts.allowedAlgorithms,
+            claimsPolicy: opts.claimsPolicy,
+            accessTokenPolicy: opts.accessTokenPolicy,
+            tokenExchange: opts.tokenExchange,
+            redirectUri,
+        });
+        const discoveryStorageManager = opts.issuer ? new storageClass(DISCOVERY_STORAGE_NAME) : undefined;
+        super(clientId, loginEndpoint, redirectUri, pkceTransactionManager, tokenManager, referralCode, logoutEndpoint,
+            Object.assign({}, opts, { discoveryStorageManager }));
+        logger.info('sandbox SDK initialized');
     }
 }
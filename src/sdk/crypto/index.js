@@ -11,4 +11,5 @@ export * from './webcrypto';
 export * from './base64';
 export * from './verifyToken';
 export * from './jwks';
+export * from './jwsAlgorithms';
 export * from './jwtVerifier';
\ No newline at end of file
@@ -13,62 +13,112 @@
  * Securely fetches and caches public keys from OpenCampus JWKS endpoints
  */
 
-const JWKS_SANDBOX_URL = 'https://static.opencampus.xyz/jwks/jwks-sandbox.json';
-const JWKS_LIVE_URL = 'https://static.opencampus.xyz/jwks/jwks-live.json';
+import { LIVE_ENDPOINTS, SANDBOX_ENDPOINTS } from '../endpoints/defaultEndpoints';
+import { JWKSError, NetworkError } from '../utils/errors';
+import { logger } from '../utils/logger';
+
+// How a pinned JWKS (shipped with the app or set at runtime) relates to the remote one:
+// remoteFirst - remote keys win, pinned keys are used when offline or for kids the remote lacks
+// pinnedFirst - pinned keys win, the remote JWKS is only consulted for kids that are not pinned
+// pinnedOnly  - never fetch, verify exclusively against the pinned JWKS
+export const JWKS_POLICY_REMOTE_FIRST = 'remoteFirst';
+export const JWKS_POLICY_PINNED_FIRST = 'pinnedFirst';
+export const JWKS_POLICY_PINNED_ONLY = 'pinnedOnly';
+
+// Cache JWKS for 1 hour unless the server sends cache headers
+const DEFAULT_TTL = 60 * 60 * 1000; // 1 hour in milliseconds
+// Never trust cache headers beyond a day
+const MAX_TTL = 24 * 60 * 60 * 1000;
+// Past this age a stale JWKS is no longer served while revalidating
+const MAX_STALE = 7 * 24 * 60 * 60 * 1000;
+// Minimum gap between forced refetches triggered by unknown kids
+const MIN_FORCED_REFETCH_INTERVAL = 60 * 1000;
 
-// Cache JWKS for 1 hour to avoid unnecessary network requests
-const CACHE_TTL = 60 * 60 * 1000; // 1 hour in milliseconds
+/**
+ * Derive how long a JWKS (or other metadata) response may be cached from its HTTP headers
+ * @param {Object} headers - The fetch response headers
+ * @returns {number} Time to live in milliseconds
+ */
+export const getTTLFromHeaders = (headers) => {
+    const cacheControl = (headers && headers.get('cache-control')) || '';
+    if (/no-store|no-cache/i.test(cacheControl)) {
+        return 0;
+    }
+
+    const maxAge = /(?:^|,)\s*(?:s-maxage|max-age)\s*=\s*(\d+)/i.exec(cacheControl);
+    if (maxAge) {
+        return Math.min(parseInt(maxAge[1], 10) * 1000, MAX_TTL);
+    }
+
+    const expires = headers && headers.get('expires');
+    if (expires) {
+        const expiresAt = Date.parse(expires);
+        if (!isNaN(expiresAt)) {
+            return Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TTL);
+        }
+    }
+
+    return DEFAULT_TTL;
+};
 
+/**
+ * In-memory JWKS cache, optionally backed by a persistent store
+ * ({ getItem, setItem } such as a storage manager's SavedObject) keyed by URL
+ */
 class JWKSCache {
     constructor() {
         this.cache = new Map();
+        this.inflight = new Map();
+        this.lastForcedFetch = new Map();
     }
 
-    set(url, jwks) {
-        this.cache.set(url, {
-            jwks,
-            timestamp: Date.now()
-        });
+    async get(url, store) {
+        let entry = this.cache.get(url);
+        if (!entry && store) {
+            try {
+                entry = await store.getItem(url);
+            } catch (error) {
+                logger.warn('JWKS Fetcher: unable to read persisted JWKS', error);
+            }
+            if (entry) {
+                this.cache.set(url, entry);
+            }
+        }
+        return entry || null;
     }
 
-    get(url) {
-        const cached = this.cache.get(url);
-        if (!cached) return null;
-
-        // Check if cache is still valid
-        if (Date.now() - cached.timestamp > CACHE_TTL) {
-            this.cache.delete(url);
-            return null;
+    async set(url, jwks, ttl, store) {
+        const now = Date.now();
+        const entry = { jwks, fetchedAt: now, expiresAt: now + ttl };
+        this.cache.set(url, entry);
+        if (store) {
+            try {
+                await store.setItem(url, entry);
+            } catch (error) {
+                logger.warn('JWKS Fetcher: unable to persist JWKS', error);
+            }
         }
-
-        return cached.jwks;
+        return entry;
     }
 
     clear() {
         this.cache.clear();
+        this.inflight.clear();
+        this.lastForcedFetch.clear();
     }
 }
 
 const jwksCache = new JWKSCache();
 
 /**
- * Fetch JWKS from the specified URL with caching
+ * Download and validate a JWKS
  * @param {string} jwksUrl - The JWKS endpoint URL
- * @returns {Promise<Object>} The JWKS object
+ * @returns {Promise<Object>} The JWKS object and its cache TTL
  */
-export const fetchJWKS = async (jwksUrl) => {
-    
-    // Check cache first
-    const cached = jwksCache.get(jwksUrl);
-    if (cached) {
-        console.log('[OCID SDK | JWKS Fetcher] ✓ Using cached JWKS');
-        return cached;
-    }
-
-    console.log('[OCID SDK | JWKS Fetcher] No cache found, fetching from server...');
-    
+const downloadJWKS = async (jwksUrl) => {
+    let response;
     try {
-        const response = await fetch(jwksUrl, {
+        response = await fetch(jwksUrl, {
             method: 'GET',
             headers: {
                 'Accept': 'application/json',
@@ -76,32 +126,101 @@ export const fetchJWKS = async (jwksUrl) => {
             // Add timeout to prevent hanging
             signal: AbortSignal.timeout ? AbortSignal.timeout(10000) : undefined
         });
+    } catch (error) {
+        logger.error('JWKS Fetcher: error fetching JWKS', error);
+        throw new NetworkError(`[OCID SDK | JWKS Fetcher] Failed to fetch JWKS: ${error.message}`, { cause: error });
+    }
 
-
-
+    try {
         if (!response.ok) {
-            throw new Error(`[OCID SDK | JWKS Fetcher] Failed to fetch JWKS: ${response.status} ${response.statusText}`);
+            throw new JWKSError(`[OCID SDK | JWKS Fetcher] Failed to fetch JWKS: ${response.status} ${response.statusText}`, {
+                status: response.status
+            });
         }
 
         const jwks = await response.json();
 
         if (!jwks.keys || !Array.isArray(jwks.keys)) {
-            throw new Error('[OCID SDK | JWKS Fetcher] Invalid JWKS format: missing keys array');
+            throw new JWKSError('[OCID SDK | JWKS Fetcher] Invalid JWKS format: missing keys array', {
+                status: response.status
+            });
         }
 
-        console.log('[OCID SDK | JWKS Fetcher] ✓ JWKS validated');
+        return { jwks, ttl: getTTLFromHeaders(response.headers) };
+    } catch (error) {
+        logger.error('JWKS Fetcher: error fetching JWKS', error);
+        if (error instanceof JWKSError) {
+            throw error;
+        }
+        throw new JWKSError(`[OCID SDK | JWKS Fetcher] Failed to fetch JWKS: ${error.message}`, {
+            cause: error,
+            status: response.status
+        });
+    }
+};
 
+/**
+ * Fetch and cache a JWKS, sharing one request between concurrent callers
+ * @param {string} jwksUrl - The JWKS endpoint URL
+ * @param {Object} store - Optional persistent store
+ * @returns {Promise<Object>} The JWKS object
+ */
+const refreshJWKS = (jwksUrl, store) => {
+    if (!jwksCache.inflight.has(jwksUrl)) {
+        const request = downloadJWKS(jwksUrl)
+            .then(async ({ jwks, ttl }) => {
+                await jwksCache.set(jwksUrl, jwks, ttl, store);
+                logger.debug(`JWKS Fetcher: JWKS validated and cached for ${Math.round(ttl / 1000)}s`);
+                return jwks;
+            })
+            .finally(() => {
+                jwksCache.inflight.delete(jwksUrl);
+            });
+        jwksCache.inflight.set(jwksUrl, request);
+    }
+    return jwksCache.inflight.get(jwksUrl);
+};
 
-        // Cache the result
-        jwksCache.set(jwksUrl, jwks);
-            console.log('[OCID SDK | JWKS Fetcher] ✓ JWKS cached for 1 hour');
+/**
+ * Fetch JWKS from the specified URL with caching.
+ * A fresh cached copy is returned as is, a stale one is returned while it is
+ * revalidated in the background, and only a missing (or too old) one blocks on the network.
+ * @param {string} jwksUrl - The JWKS endpoint URL
+ * @param {Object} options - { store, forceRefresh }
+ *   store: persistent { getItem, setItem } store so the JWKS survives cold starts
+ *   forceRefresh: bypass the cache, e.g. on an unknown kid (rate limited per URL)
+ * @returns {Promise<Object>} The JWKS object
+ */
+export const fetchJWKS = async (jwksUrl, options = {}) => {
+    const { store, forceRefresh } = options;
+    const entry = await jwksCache.get(jwksUrl, store);
+    const now = Date.now();
+
+    if (forceRefresh) {
+        const lastForced = jwksCache.lastForcedFetch.get(jwksUrl) || 0;
+        if (entry && now - lastForced < MIN_FORCED_REFETCH_INTERVAL) {
+            logger.debug('JWKS Fetcher: forced refetch rate limited, using cached JWKS');
+            return entry.jwks;
+        }
+        jwksCache.lastForcedFetch.set(jwksUrl, now);
+        return await refreshJWKS(jwksUrl, store);
+    }
 
-        return jwks;
-    } catch (error) {
-        console.error('[OCID SDK | JWKS Fetcher] ✗ Error fetching JWKS:', error.message);
-        console.error('[OCID SDK | JWKS Fetcher] Error stack:', error.stack);
-        throw new Error(`[OCID SDK | JWKS Fetcher] Failed to fetch JWKS: ${error.message}`);
+    if (entry && now < entry.expiresAt) {
+        logger.debug('JWKS Fetcher: using cached JWKS');
+        return entry.jwks;
     }
+
+    if (entry && now - entry.fetchedAt < MAX_STALE) {
+        logger.debug('JWKS Fetcher: serving stale JWKS while revalidating');
+        refreshJWKS(jwksUrl, store).catch(() => {
+            // already logged, the stale copy keeps serving until the next attempt
+        });
+        return entry.jwks;
+    }
+
+    logger.debug('JWKS Fetcher: no usable cache, fetching', jwksUrl);
+    return await refreshJWKS(jwksUrl, store);
 };
 
 /**
@@ -110,7 +229,7 @@ export const fetchJWKS = async (jwksUrl) => {
  * @returns {string} The JWKS URL
  */
 export const getJWKSUrl = (isSandbox) => {
-    return isSandbox ? JWKS_SANDBOX_URL : JWKS_LIVE_URL;
+    return isSandbox ? SANDBOX_ENDPOINTS.jwksUrl : LIVE_ENDPOINTS.jwksUrl;
 };
 
 /**
@@ -128,7 +247,7 @@ export const findKeyInJWKS = (jwks, kid) => {
 };
 
 /**
- * Clear the JWKS cache (useful for testing or forcing refresh)
+ * Clear the in-memory JWKS cache (useful for testing or forcing refresh)
  */
 export const clearJWKSCache = () => {
     jwksCache.clear();
@@ -0,0 +1,152 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { Buffer } from 'buffer';
+import { base64UrlDecode } from './base64';
+import {
+    isSupportedHash,
+    rsaModulusBits,
+    verifyEcdsa,
+    verifyEd25519,
+    verifyRsaPkcs1,
+    verifyRsaPss,
+} from './primitives';
+import { ConfigurationError, ErrorCodes, TokenVerificationError } from '../utils/errors';
+
+// RSA keys shorter than this are rejected (RFC 7518 section 3.3)
+const MIN_RSA_MODULUS_BITS = 2048;
+
+/**
+ * Decode a base64url JWK member to a Buffer
+ * @param {string} value - The base64url encoded value
+ * @returns {Buffer} The decoded bytes
+ */
+const decodeMember = (value) => Buffer.from(base64UrlDecode(value), 'binary');
+
+/**
+ * Decode an RSA JWK, rejecting keys that are too short
+ * @param {Object} jwk - RSA public JWK
+ * @returns {Object} { n, e } as bytes
+ */
+const rsaPublicKey = (jwk) => {
+    const publicKey = { n: decodeMember(jwk.n), e: decodeMember(jwk.e) };
+    const bits = rsaModulusBits(publicKey.n);
+    if (bits < MIN_RSA_MODULUS_BITS) {
+        throw new TokenVerificationError(`RSA key too short: ${bits} bits`, {
+            code: ErrorCodes.UNSUPPORTED_KEY
+        });
+    }
+    return publicKey;
+};
+
+// verify(jwk, data, signature) for each family, data and signature are bytes
+const ecdsaVerifier = (crv, hashName) => (jwk, data, signature) =>
+    verifyEcdsa(crv, hashName, { x: decodeMember(jwk.x), y: decodeMember(jwk.y) }, data, signature);
+
+const pkcs1Verifier = (hashName) => (jwk, data, signature) =>
+    verifyRsaPkcs1(hashName, rsaPublicKey(jwk), data, signature);
+
+// salt as long as the hash (RFC 7518 section 3.5)
+const pssVerifier = (hashName, saltLength) => (jwk, data, signature) =>
+    verifyRsaPss(hashName, rsaPublicKey(jwk), data, signature, saltLength);
+
+const ed25519Verifier = () => (jwk, data, signature) =>
+    verifyEd25519(decodeMember(jwk.x), data, signature);
+
+// Registered algorithms by JWS `alg`:
+// kty/crv - the only key type (and curve) the algorithm may be used with
+// hash    - digest for at_hash and friends (OIDC core section 3.1.3.6)
+// verify  - (jwk, data, signature) => boolean or Promise<boolean>, data and signature are bytes
+const algorithms = {};
+
+/**
+ * Register (or replace) a JWS algorithm verifier
+ * @param {string} alg - The JWS alg header value
+ * @param {Object} definition - { kty, crv, hash, verify }
+ */
+export const registerJWSAlgorithm = (alg, definition) => {
+    if (!alg || alg.toLowerCase() === 'none') {
+        throw new ConfigurationError('Unsecured JWS algorithm "none" cannot be registered');
+    }
+    if (!definition || typeof definition.verify !== 'function' || !definition.kty) {
+        throw new ConfigurationError(`JWS algorithm ${alg} needs a kty and a verify function`);
+    }
+    if (definition.hash && !isSupportedHash(definition.hash)) {
+        throw new ConfigurationError(`Unsupported hash for ${alg}: ${definition.hash}`);
+    }
+    algorithms[alg] = Object.assign({ alg }, definition);
+};
+
+registerJWSAlgorithm('RS256', { kty: 'RSA', hash: 'SHA-256', verify: pkcs1Verifier('SHA-256') });
+registerJWSAlgorithm('PS256', { kty: 'RSA', hash: 'SHA-256', verify: pssVerifier('SHA-256', 32) });
+registerJWSAlgorithm('ES256', { kty: 'EC', crv: 'P-256', hash: 'SHA-256', verify: ecdsaVerifier('P-256', 'SHA-256') });
+registerJWSAlgorithm('ES384', { kty: 'EC', crv: 'P-384', hash: 'SHA-384', verify: ecdsaVerifier('P-384', 'SHA-384') });
+registerJWSAlgorithm('EdDSA', { kty: 'OKP', crv: 'Ed25519', hash: 'SHA-512', verify: ed25519Verifier() });
+
+// accepted unless a client narrows the list with `allowedAlgorithms`
+export const DEFAULT_JWS_ALGORITHMS = Object.freeze(['RS256', 'PS256', 'ES256', 'ES384', 'EdDSA']);
+
+/**
+ * Look up the verifier for a JWT header alg, enforcing the allow-list
+ * @param {string} alg - The JWS alg header value
+ * @param {Array<string>} allowedAlgorithms - Algorithms the client accepts
+ * @returns {Object} The algorithm definition
+ */
+export const getJWSAlgorithm = (alg, allowedAlgorithms = DEFAULT_JWS_ALGORITHMS) => {
+    if (typeof alg !== 'string' || alg.toLowerCase() === 'none') {
+        throw new TokenVerificationError('Unsecured JWTs (alg "none") are never accepted', {
+            code: ErrorCodes.ALGORITHM_NOT_ALLOWED
+        });
+    }
+    if (!allowedAlgorithms.includes(alg)) {
+        throw new TokenVerificationError(`Algorithm ${alg} is not allowed for this client`, {
+            code: ErrorCodes.ALGORITHM_NOT_ALLOWED
+        });
+    }
+    const algorithm = algorithms[alg];
+    if (!algorithm) {
+        throw new TokenVerificationError(`Unsupported algorithm: ${alg}`, {
+            code: ErrorCodes.UNSUPPORTED_ALGORITHM
+        });
+    }
+    return algorithm;
+};
+
+/**
+ * Reject keys that do not belong to the algorithm, e.g. an RSA key for ES256 or an HMAC secret
+ * @param {Object} algorithm - The algorithm definition
+ * @param {Object} jwk - The JSON Web Key
+ */
+export const assertKeyMatchesAlgorithm = (algorithm, jwk) => {
+    const mismatch = (reason) => new TokenVerificationError(`Key does not match ${algorithm.alg}: ${reason}`, {
+        code: ErrorCodes.KEY_ALGORITHM_MISMATCH
+    });
+
+    if (jwk.kty !== algorithm.kty) {
+        throw mismatch(`key type ${jwk.kty}`);
+    }
+    if (algorithm.crv && jwk.crv !== algorithm.crv) {
+        throw mismatch(`curve ${jwk.crv}`);
+    }
+    if (jwk.alg !== undefined && jwk.alg !== algorithm.alg) {
+        throw mismatch(`key is for ${jwk.alg}`);
+    }
+    if (jwk.use !== undefined && jwk.use !== 'sig') {
+        throw mismatch(`key use ${jwk.use}`);
+    }
+
+    const members = { RSA: ['n', 'e'], EC: ['x', 'y'], OKP: ['x'] }[jwk.kty] || [];
+    const missing = members.filter(member => typeof jwk[member] !== 'string');
+    if (missing.length > 0) {
+        throw new TokenVerificationError(`Invalid ${jwk.kty} key: missing ${missing.join(', ')}`, {
+            code: ErrorCodes.UNSUPPORTED_KEY
+        });
+    }
+};
@@ -8,12 +8,26 @@
 * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 
-import { ec as EC } from 'elliptic';
-import * as Crypto from 'expo-crypto';
 import { Buffer } from 'buffer';
-import { base64UrlDecode } from './base64';
-import { atob } from './webcrypto';
-import { fetchJWKS, findKeyInJWKS } from './jwks';
+import { base64ToBase64Url, base64UrlDecode } from './base64';
+import { DEFAULT_JWS_ALGORITHMS, assertKeyMatchesAlgorithm, getJWSAlgorithm } from './jwsAlgorithms';
+import { digestBytes } from './primitives';
+import {
+    JWKS_POLICY_PINNED_FIRST,
+    JWKS_POLICY_PINNED_ONLY,
+    JWKS_POLICY_REMOTE_FIRST,
+    fetchJWKS,
+    findKeyInJWKS
+} from './jwks';
+import {
+    ClaimsValidationError,
+    ConfigurationError,
+    ErrorCodes,
+    SignatureError,
+    TokenVerificationError,
+    toOCError,
+} from '../utils/errors';
+import { logger } from '../utils/logger';
 
 /**
  * Decode JWT without verification to extract header and payload
@@ -23,7 +37,9 @@ import { fetchJWKS, findKeyInJWKS } from './jwks';
 const decodeJWT = (token) => {
     const parts = token.split('.');
     if (parts.length !== 3) {
-        throw new Error('[OCID SDK | JWT Verifier] Invalid JWT format: must have 3 parts');
+        throw new TokenVerificationError('[OCID SDK | JWT Verifier] Invalid JWT format: must have 3 parts', {
+            code: ErrorCodes.MALFORMED_TOKEN
+        });
     }
 
     try {
@@ -34,230 +50,311 @@ const decodeJWT = (token) => {
 
         return { header, payload, signature, message: `${parts[0]}.${parts[1]}` };
     } catch (error) {
-        throw new Error(`[OCID SDK | JWT Verifier] Failed to decode JWT: ${error.message}`);
+        throw new TokenVerificationError(`[OCID SDK | JWT Verifier] Failed to decode JWT: ${error.message}`, {
+            code: ErrorCodes.MALFORMED_TOKEN,
+            cause: error
+        });
     }
 };
 
 /**
- * Convert JWK (JSON Web Key) to elliptic curve public key
- * @param {Object} jwk - The JSON Web Key
- * @returns {Object} Elliptic curve key object
+ * Verify the JWT signature with the registered algorithm
+ * @param {Object} algorithm - The registered JWS algorithm
+ * @param {Object} jwk - The public JSON Web Key
+ * @param {string} message - The JWT header and payload (parts[0].parts[1])
+ * @param {string} signature - The base64url encoded signature
+ * @returns {Promise<boolean>} True if signature is valid
  */
-const jwkToEllipticKey = (jwk) => {
+const verifySignature = async (algorithm, jwk, message, signature) => {
+    try {
+        const isValid = await algorithm.verify(
+            jwk,
+            Buffer.from(message, 'utf8'),
+            Buffer.from(base64UrlDecode(signature), 'binary')
+        );
 
+        logger.debug('JWT Verifier: signature verification', isValid ? 'passed' : 'failed');
 
-    if (jwk.kty !== 'EC') {
-        throw new Error(`Unsupported key type: ${jwk.kty}. Only EC (Elliptic Curve) is supported.`);
+        return isValid === true;
+    } catch (error) {
+        if (error instanceof TokenVerificationError) {
+            throw error;
+        }
+        logger.error('JWT Verifier: signature verification error', error);
+        return false;
     }
+};
 
-    if (jwk.crv !== 'P-256') {
-        throw new Error(`Unsupported curve: ${jwk.crv}. Only P-256 is supported.`);
-    }
+// tolerated clock difference between the device and the issuer
+const DEFAULT_LEEWAY_SECONDS = 60;
 
-    try {
-        // Decode base64url encoded x and y coordinates
-        const xBuffer = Buffer.from(base64UrlDecode(jwk.x), 'binary');
-        const yBuffer = Buffer.from(base64UrlDecode(jwk.y), 'binary');
-
-        // Convert to hex
-        const x = xBuffer.toString('hex');
-        const y = yBuffer.toString('hex');
-
-
-        // Create elliptic curve instance
-        const ec = new EC('p256');
-        
-        // Create public key from coordinates
-        const key = ec.keyFromPublic({
-            x: x,
-            y: y
-        }, 'hex');
-
-        console.log('[OCID SDK | JWT Verifier] ✓ success');
-        return key;
-    } catch (error) {
-        console.error('[OCID SDK | JWT Verifier] ✗ Failed to create key:', error.message);
-        throw error;
+const toList = (value) => {
+    if (value === undefined || value === null) {
+        return [];
     }
+    return Array.isArray(value) ? value : [value];
 };
 
 /**
- * Verify JWT signature using ECDSA P-256
- * @param {string} message - The JWT header and payload (parts[0].parts[1])
- * @param {string} signature - The base64url encoded signature
- * @param {Object} publicKey - The elliptic curve public key
- * @returns {Promise<boolean>} True if signature is valid
+ * Build a claims validation policy, filling in the SDK defaults
+ * @param {Object} policy - { leewaySeconds, requiredClaims, issuers, audiences, maxAge, validators }
+ * @param {Object} defaults - Values used when the policy leaves them out
+ * @returns {Object} The normalized policy
  */
-const verifySignature = async (message, signature, publicKey) => {
-    try {
-        
-        // Hash the message using SHA-256
-        const messageBuffer = Buffer.from(message, 'utf8');
-        const hash = await Crypto.digestStringAsync(
-            Crypto.CryptoDigestAlgorithm.SHA256,
-            message,
-            { encoding: Crypto.CryptoEncoding.HEX }
-        );
-
-        // Decode the signature from base64url
-        const signatureBuffer = Buffer.from(base64UrlDecode(signature), 'binary');
-        
-        // ECDSA signature in JWT is r + s concatenated (64 bytes for P-256)
-        if (signatureBuffer.length !== 64) {
-            throw new Error(`Invalid signature length: ${signatureBuffer.length}, expected 64`);
-        }
-
-        // Split into r and s (32 bytes each)
-        const r = signatureBuffer.slice(0, 32).toString('hex');
-        const s = signatureBuffer.slice(32, 64).toString('hex');
-    
-        // Verify the signature
-        const isValid = publicKey.verify(hash, { r, s });
-
-        if (isValid) {
-            console.log('[OCID SDK | JWT Verifier] ✓ Signature verification PASSED');
-        } else {
-            console.log('[OCID SDK | JWT Verifier] ✗ Signature verification FAILED');
-        }
+export const createClaimsPolicy = (policy = {}, defaults = {}) => {
+    const merged = Object.assign({}, defaults, policy);
+    const normalized = {
+        leewaySeconds: merged.leewaySeconds ?? DEFAULT_LEEWAY_SECONDS,
+        requiredClaims: toList(merged.requiredClaims ?? ['exp']),
+        issuers: toList(merged.issuers),
+        audiences: toList(merged.audiences),
+        maxAge: merged.maxAge,
+        validators: merged.validators || {},
+    };
 
-        return isValid;
-    } catch (error) {
-        console.error('[OCID SDK | JWT Verifier] ✗ Signature verification error:', error.message);
-        console.error('[OCID SDK | JWT Verifier] Error stack:', error.stack);
-        return false;
+    if (typeof normalized.leewaySeconds !== 'number' || normalized.leewaySeconds < 0) {
+        throw new ConfigurationError('claims policy leewaySeconds must be a non negative number');
+    }
+    if (normalized.maxAge !== undefined && (typeof normalized.maxAge !== 'number' || normalized.maxAge < 0)) {
+        throw new ConfigurationError('claims policy maxAge must be a non negative number of seconds');
+    }
+    if (typeof normalized.validators !== 'object'
+        || Object.values(normalized.validators).some(validator => typeof validator !== 'function')) {
+        throw new ConfigurationError('claims policy validators must map claim names to functions');
     }
+    return normalized;
 };
 
 /**
  * Validate JWT claims
  * @param {Object} payload - The decoded JWT payload
- * @param {Object} options - Validation options
- * @returns {Object} Validation result with errors if any
+ * @param {Object} policy - A policy built by createClaimsPolicy
+ * @param {string} expectedNonce - The nonce sent on the authorize request, if any
+ * @returns {Object} Validation result with one { code, claim, message } failure per violated rule
  */
-const validateClaims = (payload, options) => {
-    const errors = [];
+const validateClaims = (payload, policy, expectedNonce) => {
+    const failures = [];
+    const fail = (code, claim, message) => failures.push({ code, claim, message });
     const now = Math.floor(Date.now() / 1000);
+    const leeway = policy.leewaySeconds;
 
-    // Check expiration (exp)
-    if (payload.exp !== undefined) {
-        if (typeof payload.exp !== 'number') {
-            errors.push('exp claim must be a number');
-        } else if (payload.exp < now) {
-            errors.push('Token has expired');
+    policy.requiredClaims.forEach(claim => {
+        if (payload[claim] === undefined) {
+            fail(ErrorCodes.MISSING_CLAIM, claim, `${claim} claim is required but missing`);
         }
-    } else {
-        errors.push('exp claim is required but missing');
+    });
+
+    // time based claims must be NumericDate values when present
+    const numericClaims = ['exp', 'nbf', 'iat', 'auth_time'].filter(claim => {
+        if (payload[claim] === undefined) {
+            return false;
+        }
+        if (typeof payload[claim] !== 'number') {
+            fail(ErrorCodes.INVALID_CLAIM_TYPE, claim, `${claim} claim must be a number`);
+            return false;
+        }
+        return true;
+    });
+
+    // Check expiration (exp)
+    if (numericClaims.includes('exp') && payload.exp + leeway < now) {
+        fail(ErrorCodes.TOKEN_EXPIRED, 'exp', 'Token has expired');
     }
 
     // Check not before (nbf)
-    if (payload.nbf !== undefined) {
-        if (typeof payload.nbf !== 'number') {
-            errors.push('nbf claim must be a number');
-        } else if (payload.nbf > now) {
-            errors.push('Token not yet valid (nbf claim)');
-        }
+    if (numericClaims.includes('nbf') && payload.nbf - leeway > now) {
+        fail(ErrorCodes.TOKEN_NOT_YET_VALID, 'nbf', 'Token not yet valid (nbf claim)');
     }
 
-    // // Check issued at (iat)
-    // if (payload.iat !== undefined) {
-    //     if (typeof payload.iat !== 'number') {
-    //         errors.push('iat claim must be a number');
-    //     } else if (payload.iat > now) {
-    //         errors.push('Token issued in the future (iat claim)');
-    //     }
-    // }
+    // Check issued at (iat)
+    if (numericClaims.includes('iat') && payload.iat - leeway > now) {
+        fail(ErrorCodes.TOKEN_ISSUED_IN_FUTURE, 'iat', 'Token issued in the future (iat claim)');
+    }
 
     // Check issuer (iss)
-    if (options.expectedIssuer) {
-        if (payload.iss !== options.expectedIssuer) {
-            errors.push(`Invalid issuer: expected ${options.expectedIssuer}, got ${payload.iss}`);
-        }
+    if (policy.issuers.length > 0 && !policy.issuers.includes(payload.iss)) {
+        fail(ErrorCodes.INVALID_ISSUER, 'iss', `Invalid issuer: expected ${policy.issuers.join(' or ')}, got ${payload.iss}`);
+    }
+
+    // Check audience (aud), any configured audience is accepted
+    if (policy.audiences.length > 0 && !toList(payload.aud).some(aud => policy.audiences.includes(aud))) {
+        fail(ErrorCodes.INVALID_AUDIENCE, 'aud', `Invalid audience: expected ${policy.audiences.join(' or ')}`);
     }
 
-    // Check audience (aud)
-    if (options.expectedAudience) {
-        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
-        if (!audiences.includes(options.expectedAudience)) {
-            errors.push(`Invalid audience: expected ${options.expectedAudience}`);
+    // Check nonce, must echo the value sent on the authorize request
+    if (expectedNonce && payload.nonce !== expectedNonce) {
+        fail(ErrorCodes.INVALID_NONCE, 'nonce', 'Invalid nonce: token was not issued for this login request');
+    }
+
+    // Check max_age, the end user must have authenticated recently enough
+    if (policy.maxAge !== undefined) {
+        if (payload.auth_time === undefined) {
+            fail(ErrorCodes.MISSING_CLAIM, 'auth_time', 'auth_time claim is required when max_age is set');
+        } else if (numericClaims.includes('auth_time') && payload.auth_time + policy.maxAge + leeway < now) {
+            fail(ErrorCodes.MAX_AGE_EXCEEDED, 'auth_time', `Authentication is older than max_age (${policy.maxAge}s)`);
         }
     }
 
+    // Custom validators accept with true only, anything else (false, a message, no return) rejects
+    Object.keys(policy.validators).forEach(claim => {
+        let result;
+        try {
+            result = policy.validators[claim](payload[claim], payload);
+        } catch (error) {
+            result = error.message;
+        }
+        if (result !== true) {
+            fail(ErrorCodes.CLAIM_REJECTED, claim, typeof result === 'string' ? result : `${claim} claim was rejected`);
+        }
+    });
+
     return {
-        valid: errors.length === 0,
-        errors
+        valid: failures.length === 0,
+        failures
     };
 };
 
+/**
+ * Validate the at_hash claim binding the access token to the id token
+ * @param {Object} algorithm - The registered JWS algorithm of the id token
+ * @param {Object} payload - The decoded JWT payload
+ * @param {string} accessToken - The access token issued with the id token
+ * @returns {boolean} True if at_hash is absent or matches the access token
+ */
+const validateAtHash = (algorithm, payload, accessToken) => {
+    if (payload.at_hash === undefined || !accessToken) {
+        return true;
+    }
+
+    if (!algorithm.hash) {
+        return false;
+    }
+
+    // left-most half of the hash of the ASCII access token, base64url encoded
+    const hash = digestBytes(algorithm.hash, Buffer.from(accessToken, 'ascii'));
+
+    return base64ToBase64Url(hash.slice(0, hash.length / 2).toString('base64')) === payload.at_hash;
+};
+
+/**
+ * Pick the key for a JWT header from a JWKS
+ * @param {Object} jwks - The JWKS object
+ * @param {string} kid - The key ID from the JWT header, if any
+ * @returns {Object|null} The matching key or null
+ */
+const selectKey = (jwks, kid) => {
+    if (kid) {
+        return findKeyInJWKS(jwks, kid);
+    }
+    // If no kid in header, try the first key (fallback for some implementations)
+    return (jwks.keys && jwks.keys[0]) || null;
+};
+
+/**
+ * Resolve the verification key according to the JWKS policy
+ * @param {Object} header - The decoded JWT header
+ * @param {string} jwksUrl - The remote JWKS URL
+ * @param {Object} options - { pinnedJwks, jwksPolicy, jwksStore }
+ * @returns {Promise<Object|null>} The JWK or null when no source has it
+ */
+const resolveJWK = async (header, jwksUrl, options) => {
+    const { pinnedJwks, jwksPolicy = JWKS_POLICY_REMOTE_FIRST, jwksStore } = options;
+    const pinnedKey = pinnedJwks ? selectKey(pinnedJwks, header.kid) : null;
+
+    if (jwksPolicy === JWKS_POLICY_PINNED_ONLY) {
+        return pinnedKey;
+    }
+    if (jwksPolicy === JWKS_POLICY_PINNED_FIRST && pinnedKey) {
+        return pinnedKey;
+    }
+
+    let remoteKey = null;
+    try {
+        let jwks = await fetchJWKS(jwksUrl, { store: jwksStore });
+        remoteKey = selectKey(jwks, header.kid);
+        if (!remoteKey && header.kid) {
+            // the key set may have rotated since it was cached
+            jwks = await fetchJWKS(jwksUrl, { store: jwksStore, forceRefresh: true });
+            remoteKey = selectKey(jwks, header.kid);
+        }
+    } catch (error) {
+        if (!pinnedKey) {
+            throw error;
+        }
+        logger.warn('JWT Verifier: remote JWKS unavailable, using pinned JWKS', error);
+    }
+
+    return remoteKey || pinnedKey;
+};
+
 /**
  * Verify JWT token with full cryptographic signature verification
  * @param {string} idToken - The JWT token to verify
  * @param {string} jwksUrl - The JWKS URL to fetch public keys from
- * @param {Object} options - Verification options
- * @returns {Promise<Object>} Verification result
+ * @param {Object} options - Verification options (claimsPolicy or expectedIssuer/expectedAudience, expectedNonce, accessToken,
+ *   jwksStore, pinnedJwks, jwksPolicy, allowedAlgorithms)
+ * @returns {Promise<Object>} Verification result, on failure `cause` holds the typed error
  */
 export const verifyJWT = async (idToken, jwksUrl, options = {}) => {
-    console.log('═══════════════════════════════════════════════════════');
-    console.log('[OCID SDK | JWT Verifier] Starting JWT verification process');
-    console.log('═══════════════════════════════════════════════════════');
-    
+    logger.debug('JWT Verifier: starting JWT verification');
+
     try {
         // Step 1: Decode the JWT
         const { header, payload, signature, message } = decodeJWT(idToken);
 
 
-        // Step 2: Check algorithm
-        if (header.alg !== 'ES256') {
-            throw new Error(`Unsupported algorithm: ${header.alg}. Only ES256 is supported.`);
-        }
+        // Step 2: Check algorithm against the registry and the client allow-list
+        const algorithm = getJWSAlgorithm(header.alg, options.allowedAlgorithms || DEFAULT_JWS_ALGORITHMS);
 
-        // Step 3: Fetch JWKS
-        const jwks = await fetchJWKS(jwksUrl);
-      
-
-        // Step 4: Find the key with matching kid
-
-        let jwk;
-        if (header.kid) {
-            jwk = findKeyInJWKS(jwks, header.kid);
-            if (!jwk) {
-                throw new Error(`Key with kid "${header.kid}" not found in JWKS`);
-            }
-        } else {
-            // If no kid in header, try the first key (fallback for some implementations)
-            if (jwks.keys && jwks.keys.length > 0) {
-                jwk = jwks.keys[0];
-            } else {
-                throw new Error('No kid in JWT header and no keys in JWKS');
-            }
+        // Step 3 & 4: Find the key with matching kid in the remote and/or pinned JWKS
+        const jwk = await resolveJWK(header, jwksUrl, options);
+        if (!jwk) {
+            throw new TokenVerificationError(header.kid
+                ? `Key with kid "${header.kid}" not found in JWKS`
+                : 'No kid in JWT header and no keys in JWKS', {
+                code: ErrorCodes.KEY_NOT_FOUND
+            });
         }
 
-        // Step 5: Convert JWK to elliptic key
-        const publicKey = jwkToEllipticKey(jwk);
+        // Step 5: The key must belong to the algorithm the token claims
+        assertKeyMatchesAlgorithm(algorithm, jwk);
 
         // Step 6: Verify signature
-        const signatureValid = await verifySignature(message, signature, publicKey);
+        const signatureValid = await verifySignature(algorithm, jwk, message, signature);
         if (!signatureValid) {
-            console.error('[OCID SDK | JWT Verifier] ✗ SIGNATURE VERIFICATION FAILED');
-            throw new Error('JWT signature verification failed - token may be forged or tampered');
+            throw new SignatureError('JWT signature verification failed - token may be forged or tampered');
         }
 
-        console.log('[OCID SDK | JWT Verifier] ✓✓✓ JWT SIGNATURE VERIFIED SUCCESSFULLY ✓✓✓');
+        logger.debug('JWT Verifier: signature verified');
 
         // Step 7: Validate claims
-        const claimsValidation = validateClaims(payload, {
-            expectedIssuer: options.expectedIssuer,
-            expectedAudience: options.expectedAudience
+        const claimsPolicy = options.claimsPolicy || createClaimsPolicy({}, {
+            issuers: options.expectedIssuer,
+            audiences: options.expectedAudience
         });
+        const claimsValidation = validateClaims(payload, claimsPolicy, options.expectedNonce);
 
         if (!claimsValidation.valid) {
-            console.error('[OCID SDK | JWT Verifier] ✗ Claims validation failed:', claimsValidation.errors);
-            throw new Error(`JWT claims validation failed: ${claimsValidation.errors.join(', ')}`);
+            const { failures } = claimsValidation;
+            throw new ClaimsValidationError(`JWT claims validation failed: ${failures.map(f => f.message).join(', ')}`, {
+                code: failures[0].code,
+                failures
+            });
+        }
+
+        // Step 8: Bind the access token to the id token
+        if (!validateAtHash(algorithm, payload, options.accessToken)) {
+            throw new ClaimsValidationError('JWT claims validation failed: at_hash does not match the access token', {
+                code: ErrorCodes.INVALID_AT_HASH,
+                failures: [{
+                    code: ErrorCodes.INVALID_AT_HASH,
+                    claim: 'at_hash',
+                    message: 'at_hash does not match the access token'
+                }]
+            });
         }
 
-        console.log('[OCID SDK | JWT Verifier] ✓ JWT claims validated successfully');
-        console.log('═══════════════════════════════════════════════════════');
-        console.log('[OCID SDK | JWT Verifier] ✓✓✓ ALL VERIFICATION CHECKS PASSED ✓✓✓');
-        console.log('═══════════════════════════════════════════════════════');
+        logger.debug('JWT Verifier: all verification checks passed');
 
         return {
             valid: true,
@@ -266,14 +363,13 @@ export const verifyJWT = async (idToken, jwksUrl, options = {}) => {
         };
 
     } catch (error) {
-        console.error('═══════════════════════════════════════════════════════');
-        console.error('[OCID SDK | JWT Verifier] ✗✗✗ JWT VERIFICATION FAILED ✗✗✗');
-        console.error('[OCID SDK | JWT Verifier] Error:', error.message);
-        console.error('[OCID SDK | JWT Verifier] Stack:', error.stack);
-        console.error('═══════════════════════════════════════════════════════');
+        logger.error('JWT Verifier: JWT verification failed', error);
+        const cause = toOCError(error, TokenVerificationError, error.message);
         return {
             valid: false,
-            error: error.message
+            error: cause.message,
+            code: cause.code,
+            cause
         };
     }
 };
@@ -0,0 +1,267 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import BN from 'bn.js';
+import hash from 'hash.js';
+import { ec as EC, eddsa as EdDSA } from 'elliptic';
+import { Buffer } from 'buffer';
+
+// Byte level signature primitives shared by the JWS algorithm registry and the webcrypto shim.
+// Everything takes and returns bytes, callers own encoding and error mapping.
+
+// hash functions by JOSE / WebCrypto name, each returns a byte array
+const HASHES = {
+    'SHA-256': (data) => hash.sha256().update(data).digest(),
+    'SHA-384': (data) => hash.sha384().update(data).digest(),
+    'SHA-512': (data) => hash.sha512().update(data).digest(),
+};
+
+// DER encoded DigestInfo prefixes for RSASSA-PKCS1-v1_5 (RFC 8017 section 9.2)
+const DIGEST_INFO_PREFIXES = {
+    'SHA-256': '3031300d060960864801650304020105000420',
+    'SHA-384': '3041300d060960864801650304020205000430',
+    'SHA-512': '3051300d060960864801650304020305000440',
+};
+
+// curves by JWK / WebCrypto name, `size` is the byte length of a coordinate
+export const EC_CURVES = {
+    'P-256': { name: 'p256', size: 32 },
+    'P-384': { name: 'p384', size: 48 },
+};
+
+const curves = {};
+const getCurve = (name, Curve) => {
+    if (!curves[name]) {
+        curves[name] = new Curve(name);
+    }
+    return curves[name];
+};
+
+/**
+ * Whether a hash name is supported
+ * @param {string} hashName - SHA-256, SHA-384 or SHA-512
+ * @returns {boolean}
+ */
+export const isSupportedHash = (hashName) => !!HASHES[hashName];
+
+/**
+ * Hash bytes
+ * @param {string} hashName - SHA-256, SHA-384 or SHA-512
+ * @param {Uint8Array|Array} data - The bytes to hash
+ * @returns {Buffer} The digest
+ */
+export const digestBytes = (hashName, data) => {
+    if (!isSupportedHash(hashName)) {
+        throw new Error(`Unsupported hash: ${hashName}`);
+    }
+    return Buffer.from(HASHES[hashName](data));
+};
+
+// compare without returning early so timing does not leak the mismatch position
+const equalBytes = (a, b) => {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+};
+
+/**
+ * Decode an EC point (uncompressed or compressed) into fixed size coordinates
+ * @param {string} crv - P-256 or P-384
+ * @param {Uint8Array} point - The SEC1 encoded point
+ * @returns {Object} { x, y } as Buffers
+ */
+export const decodeEcPoint = (crv, point) => {
+    const { name, size } = EC_CURVES[crv];
+    const key = getCurve(name, EC).keyFromPublic(Array.from(point));
+    if (!key.validate().result) {
+        throw new Error(`Invalid ${crv} point`);
+    }
+    const pub = key.getPublic();
+    return {
+        x: pub.getX().toArrayLike(Buffer, 'be', size),
+        y: pub.getY().toArrayLike(Buffer, 'be', size),
+    };
+};
+
+/**
+ * Verify an ECDSA signature encoded as r || s (IEEE P1363, as used by JWS and WebCrypto)
+ * @param {string} crv - P-256 or P-384
+ * @param {string} hashName - The hash applied to the data
+ * @param {Object} publicKey - { x, y } coordinates as bytes
+ * @param {Uint8Array} data - The signed bytes
+ * @param {Uint8Array} signature - The signature bytes
+ * @returns {boolean} True if the signature is valid
+ */
+export const verifyEcdsa = (crv, hashName, publicKey, data, signature) => {
+    const { name, size } = EC_CURVES[crv];
+    if (signature.length !== size * 2) {
+        return false;
+    }
+    const key = getCurve(name, EC).keyFromPublic({
+        x: Buffer.from(publicKey.x).toString('hex'),
+        y: Buffer.from(publicKey.y).toString('hex')
+    }, 'hex');
+    const sig = Buffer.from(signature);
+    return key.verify(digestBytes(hashName, data), {
+        r: sig.slice(0, size).toString('hex'),
+        s: sig.slice(size).toString('hex')
+    });
+};
+
+/**
+ * Bit length of an RSA modulus
+ * @param {Uint8Array} n - The big endian modulus
+ * @returns {number}
+ */
+export const rsaModulusBits = (n) => new BN(Buffer.from(n)).bitLength();
+
+/**
+ * RSA public operation, returns the encoded message or null when the signature is out of range
+ * @param {Object} publicKey - { n, e } as big endian bytes
+ * @param {Uint8Array} signature - The signature bytes
+ * @param {number} length - Byte length of the encoded message
+ * @returns {Buffer|null} The encoded message
+ */
+const rsaPublic = (publicKey, signature, length) => {
+    const n = new BN(Buffer.from(publicKey.n));
+    const e = new BN(Buffer.from(publicKey.e));
+    if (signature.length !== n.byteLength()) {
+        return null;
+    }
+    const s = new BN(Buffer.from(signature));
+    if (s.cmp(n) >= 0) {
+        return null;
+    }
+    const m = s.toRed(BN.red(n)).redPow(e).fromRed();
+    if (m.byteLength() > length) {
+        return null;
+    }
+    return m.toArrayLike(Buffer, 'be', length);
+};
+
+/**
+ * Verify an RSASSA-PKCS1-v1_5 signature (RFC 8017 section 8.2.2)
+ * @param {string} hashName - The hash applied to the data
+ * @param {Object} publicKey - { n, e } as big endian bytes
+ * @param {Uint8Array} data - The signed bytes
+ * @param {Uint8Array} signature - The signature bytes
+ * @returns {boolean} True if the signature is valid
+ */
+export const verifyRsaPkcs1 = (hashName, publicKey, data, signature) => {
+    const k = new BN(Buffer.from(publicKey.n)).byteLength();
+    const em = rsaPublic(publicKey, signature, k);
+    if (!em) {
+        return false;
+    }
+    const t = Buffer.concat([
+        Buffer.from(DIGEST_INFO_PREFIXES[hashName], 'hex'),
+        digestBytes(hashName, data)
+    ]);
+    if (k < t.length + 11) {
+        return false;
+    }
+    const expected = Buffer.concat([
+        Buffer.from([0x00, 0x01]),
+        Buffer.alloc(k - t.length - 3, 0xff),
+        Buffer.from([0x00]),
+        t
+    ]);
+    return equalBytes(em, expected);
+};
+
+/**
+ * MGF1 mask generation (RFC 8017 appendix B.2.1)
+ * @param {string} hashName - The hash name
+ * @param {Buffer} seed - The seed
+ * @param {number} length - Mask length in bytes
+ * @returns {Buffer} The mask
+ */
+const mgf1 = (hashName, seed, length) => {
+    const blocks = [];
+    for (let counter = 0; blocks.length * seed.length < length; counter++) {
+        const c = Buffer.alloc(4);
+        c.writeUInt32BE(counter, 0);
+        blocks.push(digestBytes(hashName, Buffer.concat([seed, c])));
+    }
+    return Buffer.concat(blocks).slice(0, length);
+};
+
+/**
+ * Verify an RSASSA-PSS signature with MGF1 using the same hash (RFC 8017 section 9.1.2)
+ * @param {string} hashName - The hash applied to the data and used by MGF1
+ * @param {Object} publicKey - { n, e } as big endian bytes
+ * @param {Uint8Array} data - The signed bytes
+ * @param {Uint8Array} signature - The signature bytes
+ * @param {number} saltLength - Expected salt length in bytes
+ * @returns {boolean} True if the signature is valid
+ */
+export const verifyRsaPss = (hashName, publicKey, data, signature, saltLength) => {
+    const emBits = rsaModulusBits(publicKey.n) - 1;
+    const emLen = Math.ceil(emBits / 8);
+    const em = rsaPublic(publicKey, signature, emLen);
+    const mHash = digestBytes(hashName, data);
+    const hLen = mHash.length;
+    const sLen = saltLength;
+    if (!em || emLen < hLen + sLen + 2 || em[emLen - 1] !== 0xbc) {
+        return false;
+    }
+
+    const maskedDB = em.slice(0, emLen - hLen - 1);
+    const h = em.slice(emLen - hLen - 1, emLen - 1);
+    const topMask = 0xff >> (8 * emLen - emBits);
+    if ((maskedDB[0] & ~topMask) !== 0) {
+        return false;
+    }
+
+    const dbMask = mgf1(hashName, h, maskedDB.length);
+    const db = Buffer.alloc(maskedDB.length);
+    for (let i = 0; i < db.length; i++) {
+        db[i] = maskedDB[i] ^ dbMask[i];
+    }
+    db[0] &= topMask;
+
+    const separator = emLen - hLen - sLen - 2;
+    for (let i = 0; i < separator; i++) {
+        if (db[i] !== 0) {
+            return false;
+        }
+    }
+    if (db[separator] !== 0x01) {
+        return false;
+    }
+
+    const salt = db.slice(db.length - sLen);
+    const hPrime = digestBytes(hashName, Buffer.concat([Buffer.alloc(8), mHash, salt]));
+    return equalBytes(h, hPrime);
+};
+
+/**
+ * Verify an Ed25519 signature (RFC 8032)
+ * @param {Uint8Array} publicKey - The 32 byte public key
+ * @param {Uint8Array} data - The signed bytes
+ * @param {Uint8Array} signature - The signature bytes
+ * @returns {boolean} True if the signature is valid
+ */
+export const verifyEd25519 = (publicKey, data, signature) => {
+    if (signature.length !== 64 || publicKey.length !== 32) {
+        return false;
+    }
+    try {
+        return getCurve('ed25519', EdDSA).verify(Array.from(data), Array.from(signature), Array.from(publicKey));
+    } catch (error) {
+        // R or the public key is not a point on the curve
+        return false;
+    }
+};
@@ -9,12 +9,13 @@
  */
 
 import { verifyJWT } from './jwtVerifier';
+import { logger } from '../utils/logger';
 
 /**
  * Verify ID token with full cryptographic signature verification
  * @param {string} idToken - The JWT token to verify
  * @param {string} jwksUrl - The JWKS URL to fetch public keys from
- * @param {Object} options - Verification options (expectedIssuer, expectedAudience)
+ * @param {Object} options - Verification options (expectedIssuer, expectedAudience, expectedNonce, accessToken)
  * @returns {Promise<boolean>} True if token is valid
  */
 export const verifyToken = async (idToken, jwksUrl, options = {}) => {
@@ -23,12 +24,11 @@ export const verifyToken = async (idToken, jwksUrl, options = {}) => {
         const result = await verifyJWT(idToken, jwksUrl, options);
         
         if (!result.valid) {
-            console.error('[OCID SDK | Verify Token] Token verification failed:', result.error);
+            logger.error('Verify Token: token verification failed', result.error);
             return false;
         }
         
-        console.log('[OCID SDK | Verify Token] ✓ Token verified successfully');
-        console.log('[OCID SDK | Verify Token] Token payload:', {
+        logger.debug('Verify Token: token verified, payload:', {
             user_id: result.payload.user_id,
             eth_address: result.payload.eth_address,
             edu_username: result.payload.edu_username,
@@ -40,7 +40,7 @@ export const verifyToken = async (idToken, jwksUrl, options = {}) => {
         return true;
         
     } catch (error) {
-        console.error('Token verification exception:', error);
+        logger.error('Verify Token: token verification exception', error);
         return false;
     }
 };
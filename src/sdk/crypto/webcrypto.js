@@ -7,56 +7,289 @@
 * 
 * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
+
 import { decode as base64Decode, encode as base64Encode } from 'base-64';
 import 'react-native-get-random-values';
-import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import {
+  EC_CURVES,
+  decodeEcPoint,
+  digestBytes,
+  isSupportedHash,
+  rsaModulusBits,
+  verifyEcdsa,
+  verifyRsaPkcs1,
+  verifyRsaPss
+} from './primitives';
 
 const atob = (str) => base64Decode(str);
 const btoa = (str) => base64Encode(str);
 
-// React Native crypto implementation using expo-crypto
+// Errors carry the DOMException names SubtleCrypto uses, so callers can branch on `name`
+const cryptoError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const ALGORITHM_NAMES = {
+  'ecdsa': 'ECDSA',
+  'rsassa-pkcs1-v1_5': 'RSASSA-PKCS1-v1_5',
+  'rsa-pss': 'RSA-PSS'
+};
+
+// algorithm identifiers may be a string or { name }, and are case insensitive
+const normalizeName = (algorithm) => {
+  const name = typeof algorithm === 'string' ? algorithm : algorithm && algorithm.name;
+  if (typeof name !== 'string') {
+    throw cryptoError('TypeError', 'Algorithm name is required');
+  }
+  return name;
+};
+
+const normalizeHash = (algorithm) => normalizeName(algorithm).toUpperCase();
+
+const normalizeAlgorithm = (algorithm) => {
+  const name = ALGORITHM_NAMES[normalizeName(algorithm).toLowerCase()];
+  if (!name) {
+    throw cryptoError('NotSupportedError', `Unsupported algorithm: ${normalizeName(algorithm)}`);
+  }
+  return name;
+};
+
+// BufferSource (ArrayBuffer or any view) to bytes without copying
+const toBytes = (data) => {
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw cryptoError('TypeError', 'Data must be an ArrayBuffer or ArrayBufferView');
+};
+
+const fromBase64Url = (value) => {
+  if (typeof value !== 'string') {
+    throw cryptoError('DataError', 'JWK member must be a base64url string');
+  }
+  return Buffer.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), 'binary');
+};
+
+// DER object identifiers (encoded value bytes, hex)
+const OID_EC_PUBLIC_KEY = '2a8648ce3d0201';
+const OID_RSA_ENCRYPTION = '2a864886f70d010101';
+const EC_CURVE_OIDS = {
+  '2a8648ce3d030107': 'P-256',
+  '2b81040022': 'P-384'
+};
+
+// read one DER TLV at `offset`
+const readDer = (bytes, offset, expectedTag) => {
+  if (offset + 2 > bytes.length || bytes[offset] !== expectedTag) {
+    throw cryptoError('DataError', 'Invalid DER encoding');
+  }
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (lengthBytes === 0 || lengthBytes > 4) {
+      throw cryptoError('DataError', 'Invalid DER length');
+    }
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + bytes[start + i];
+    }
+    start += lengthBytes;
+  }
+  const end = start + length;
+  if (end > bytes.length) {
+    throw cryptoError('DataError', 'Truncated DER value');
+  }
+  return { value: bytes.subarray(start, end), end };
+};
+
+// SubjectPublicKeyInfo (RFC 5280 section 4.1) to { oid, parameters, publicKey }
+const parseSpki = (bytes) => {
+  const spki = readDer(bytes, 0, 0x30);
+  if (spki.end !== bytes.length) {
+    throw cryptoError('DataError', 'Trailing data after SubjectPublicKeyInfo');
+  }
+  const algorithmId = readDer(spki.value, 0, 0x30);
+  const oid = readDer(algorithmId.value, 0, 0x06);
+  const parameters = algorithmId.value.subarray(oid.end);
+  const bitString = readDer(spki.value, algorithmId.end, 0x03);
+  if (bitString.value[0] !== 0) {
+    throw cryptoError('DataError', 'Unsupported BIT STRING padding');
+  }
+  return {
+    oid: Buffer.from(oid.value).toString('hex'),
+    parameters,
+    publicKey: bitString.value.subarray(1)
+  };
+};
+
+// DER INTEGER to unsigned big endian bytes
+const readUnsignedInteger = (bytes, offset) => {
+  const integer = readDer(bytes, offset, 0x02);
+  let value = integer.value;
+  while (value.length > 1 && value[0] === 0) {
+    value = value.subarray(1);
+  }
+  return { value: Buffer.from(value), end: integer.end };
+};
+
+const assertPublicJwk = (jwk, kty) => {
+  if (!jwk || jwk.kty !== kty) {
+    throw cryptoError('DataError', `JWK kty must be ${kty}`);
+  }
+  if (jwk.d !== undefined) {
+    throw cryptoError('NotSupportedError', 'Only public keys can be imported');
+  }
+  if (jwk.use !== undefined && jwk.use !== 'sig') {
+    throw cryptoError('DataError', `JWK use ${jwk.use} cannot verify`);
+  }
+};
+
+const importEcKey = (format, keyData, namedCurve) => {
+  if (!EC_CURVES[namedCurve]) {
+    throw cryptoError('NotSupportedError', `Unsupported curve: ${namedCurve}`);
+  }
+  const size = EC_CURVES[namedCurve].size;
+
+  let point;
+  if (format === 'jwk') {
+    assertPublicJwk(keyData, 'EC');
+    if (keyData.crv !== namedCurve) {
+      throw cryptoError('DataError', `JWK curve ${keyData.crv} does not match ${namedCurve}`);
+    }
+    const x = fromBase64Url(keyData.x);
+    const y = fromBase64Url(keyData.y);
+    if (x.length !== size || y.length !== size) {
+      throw cryptoError('DataError', 'Invalid EC coordinate length');
+    }
+    point = Buffer.concat([Buffer.from([0x04]), x, y]);
+  } else if (format === 'raw') {
+    point = toBytes(keyData);
+  } else if (format === 'spki') {
+    const spki = parseSpki(toBytes(keyData));
+    const curveOid = readDer(spki.parameters, 0, 0x06);
+    if (spki.oid !== OID_EC_PUBLIC_KEY || EC_CURVE_OIDS[Buffer.from(curveOid.value).toString('hex')] !== namedCurve) {
+      throw cryptoError('DataError', `Key is not an ${namedCurve} EC public key`);
+    }
+    point = spki.publicKey;
+  } else {
+    throw cryptoError('NotSupportedError', `Unsupported key format for ECDSA: ${format}`);
+  }
+
+  try {
+    return decodeEcPoint(namedCurve, point);
+  } catch (error) {
+    throw cryptoError('DataError', `Invalid ${namedCurve} public key`);
+  }
+};
+
+const importRsaKey = (format, keyData, name, hash) => {
+  if (format === 'jwk') {
+    assertPublicJwk(keyData, 'RSA');
+    const publicKey = { n: fromBase64Url(keyData.n), e: fromBase64Url(keyData.e) };
+    // RS256 / PS384 style alg values must agree with the requested scheme and hash
+    const expectedAlg = (name === 'RSA-PSS' ? 'PS' : 'RS') + hash.slice(4);
+    if (keyData.alg !== undefined && keyData.alg !== expectedAlg) {
+      throw cryptoError('DataError', `JWK alg ${keyData.alg} does not match ${name} ${hash}`);
+    }
+    return publicKey;
+  }
+  if (format === 'spki') {
+    const spki = parseSpki(toBytes(keyData));
+    if (spki.oid !== OID_RSA_ENCRYPTION) {
+      throw cryptoError('DataError', 'Key is not an RSA public key');
+    }
+    // RSAPublicKey ::= SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+    const sequence = readDer(spki.publicKey, 0, 0x30);
+    const n = readUnsignedInteger(sequence.value, 0);
+    const e = readUnsignedInteger(sequence.value, n.end);
+    return { n: n.value, e: e.value };
+  }
+  throw cryptoError('NotSupportedError', `Unsupported key format for ${name}: ${format}`);
+};
+
+// imported key material, only keys created by importKey below can be used to verify
+const keyMaterial = new WeakMap();
+
+// React Native crypto implementation: a verify-only subset of SubtleCrypto on pure JS primitives
 const webcrypto = {
   ...global.crypto,
-  getRandomValues: global.crypto.getRandomValues,
+  // called through global.crypto, browser and node implementations reject any other `this`
+  getRandomValues: (array) => global.crypto.getRandomValues(array),
   subtle: {
     digest: async (algorithm, data) => {
-      if (algorithm === 'SHA-256') {
-        const hash = await Crypto.digestStringAsync(
-          Crypto.CryptoDigestAlgorithm.SHA256,
-          new TextDecoder().decode(data),
-          { encoding: Crypto.CryptoEncoding.BASE64 }
-        );
-        // Convert base64 to ArrayBuffer
-        const binaryString = atob(hash);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        return bytes.buffer;
+      const hash = normalizeHash(algorithm);
+      if (!isSupportedHash(hash)) {
+        throw cryptoError('NotSupportedError', `Unsupported algorithm: ${hash}`);
       }
-      throw new Error(`Unsupported algorithm: ${algorithm}`);
+      return new Uint8Array(digestBytes(hash, toBytes(data))).buffer;
     },
-    
-    importKey: async (format, keyData, algorithm, extractable, keyUsages) => {
-      // For OCID JWT verification, we'll create a mock key object
-      // since React Native doesn't need full WebCrypto key import
-      if ((format === 'raw' || format === 'spki') && algorithm.name === 'ECDSA') {
-        return {
-          type: 'public',
-          extractable,
-          algorithm,
-          usages: keyUsages,
-          keyData // Store the raw key data
+
+    importKey: async (format, keyData, algorithm, extractable, keyUsages = []) => {
+      const name = normalizeAlgorithm(algorithm);
+      if (keyUsages.some(usage => usage !== 'verify')) {
+        throw cryptoError('SyntaxError', 'Public keys can only be used to verify');
+      }
+
+      let material;
+      let keyAlgorithm;
+      if (name === 'ECDSA') {
+        material = importEcKey(format, keyData, algorithm.namedCurve);
+        keyAlgorithm = { name, namedCurve: algorithm.namedCurve };
+      } else {
+        const hash = normalizeHash(algorithm.hash);
+        if (!isSupportedHash(hash)) {
+          throw cryptoError('NotSupportedError', `Unsupported hash: ${hash}`);
+        }
+        material = importRsaKey(format, keyData, name, hash);
+        keyAlgorithm = {
+          name,
+          hash: { name: hash },
+          modulusLength: rsaModulusBits(material.n),
+          publicExponent: new Uint8Array(material.e)
         };
       }
-      throw new Error(`Unsupported key import: ${format}, ${algorithm.name}`);
+
+      const key = {
+        type: 'public',
+        extractable: !!extractable,
+        algorithm: keyAlgorithm,
+        usages: keyUsages
+      };
+      keyMaterial.set(key, material);
+      return key;
     },
 
     verify: async (algorithm, key, signature, data) => {
-      // Note: JWT verification is now handled by the jose library in verifyToken.js
-      // This WebCrypto verify is kept for compatibility but should not be used directly
-      console.warn('WebCrypto verify: Use jose library for proper JWT verification');
-      return true;
+      const name = normalizeAlgorithm(algorithm);
+      const material = keyMaterial.get(key);
+      if (!material || key.algorithm.name !== name || !key.usages.includes('verify')) {
+        throw cryptoError('InvalidAccessError', `Key cannot be used to verify with ${name}`);
+      }
+
+      const signatureBytes = toBytes(signature);
+      const dataBytes = toBytes(data);
+      switch (name) {
+        case 'ECDSA': {
+          const hash = normalizeHash(algorithm.hash);
+          if (!isSupportedHash(hash)) {
+            throw cryptoError('NotSupportedError', `Unsupported hash: ${hash}`);
+          }
+          return verifyEcdsa(key.algorithm.namedCurve, hash, material, dataBytes, signatureBytes);
+        }
+        case 'RSASSA-PKCS1-v1_5':
+          return verifyRsaPkcs1(key.algorithm.hash.name, material, dataBytes, signatureBytes);
+        case 'RSA-PSS':
+          if (typeof algorithm.saltLength !== 'number' || algorithm.saltLength < 0) {
+            throw cryptoError('TypeError', 'RSA-PSS requires a saltLength');
+          }
+          return verifyRsaPss(key.algorithm.hash.name, material, dataBytes, signatureBytes, algorithm.saltLength);
+      }
     }
   }
 };
@@ -20,6 +20,11 @@ export const buildAuthEndpointUrl = (signInParams, loginEndPoint) => {
     loginUrl.searchParams.append('code_challenge', signInParams.codeChallenge);
     loginUrl.searchParams.append('code_challenge_method', signInParams.codeChallengeMethod);
 
+    // echoed back in the id_token to detect replays
+    if (signInParams.nonce) {
+        loginUrl.searchParams.append('nonce', signInParams.nonce);
+    }
+
     // as long as it is defined we will use it
     if (signInParams.state !== undefined) {
         if (typeof signInParams.state === 'string') {
@@ -44,5 +49,25 @@ export const buildAuthEndpointUrl = (signInParams, loginEndPoint) => {
         loginUrl.searchParams.append('prompt', signInParams.prompt);
     }
 
+    // standard OIDC authorize parameters
+    const oidcParams = {
+        login_hint: signInParams.loginHint,
+        ui_locales: signInParams.uiLocales,
+        max_age: signInParams.maxAge,
+        acr_values: signInParams.acrValues,
+        display: signInParams.display,
+    };
+    Object.keys(oidcParams).forEach(name => {
+        if (oidcParams[name] !== undefined) {
+            loginUrl.searchParams.append(name, String(oidcParams[name]));
+        }
+    });
+
+    // caller supplied parameters, validated by normalizeAuthorizeParams
+    const extraParams = signInParams.extraParams || {};
+    Object.keys(extraParams).forEach(name => {
+        loginUrl.searchParams.append(name, extraParams[name]);
+    });
+
     return loginUrl.href;
 };
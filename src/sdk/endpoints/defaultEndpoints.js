@@ -0,0 +1,24 @@
+/*!
+ * Copyright 2024-Present Animoca Brands Corporation Ltd.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+// Built in OCID endpoints, used unless an option or issuer discovery provides another
+export const LIVE_ENDPOINTS = Object.freeze({
+    loginEndPoint: 'https://api.login.opencampus.xyz/auth/login',
+    tokenEndPoint: 'https://api.login.opencampus.xyz/auth/token',
+    logoutEndPoint: 'https://api.login.opencampus.xyz/auth/logout',
+    jwksUrl: 'https://static.opencampus.xyz/jwks/jwks-live.json',
+});
+
+export const SANDBOX_ENDPOINTS = Object.freeze({
+    loginEndPoint: 'https://api.login.sandbox.opencampus.xyz/auth/login',
+    tokenEndPoint: 'https://api.login.sandbox.opencampus.xyz/auth/token',
+    logoutEndPoint: 'https://api.login.sandbox.opencampus.xyz/auth/logout',
+    jwksUrl: 'https://static.opencampus.xyz/jwks/jwks-sandbox.json',
+});
@@ -0,0 +1,178 @@
+/*!
+ * Copyright 2024-Present Animoca Brands Corporation Ltd.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * OIDC discovery (OpenID Connect Discovery 1.0) fetcher and cache
+ * Resolves the endpoints and JWKS URL of an issuer from its openid-configuration
+ */
+
+import { getTTLFromHeaders } from '../crypto/jwks';
+import { DiscoveryError, ErrorCodes, NetworkError } from '../utils/errors';
+import { logger } from '../utils/logger';
+
+// shared by every client and environment, entries are keyed by issuer
+export const DISCOVERY_STORAGE_NAME = 'oc-discovery-cache';
+
+const WELL_KNOWN_PATH = '/.well-known/openid-configuration';
+
+// endpoints a provider must publish (section 3) and those we use when present
+const REQUIRED_ENDPOINTS = ['authorization_endpoint', 'token_endpoint', 'jwks_uri'];
+const OPTIONAL_ENDPOINTS = ['end_session_endpoint', 'revocation_endpoint', 'userinfo_endpoint'];
+
+const memoryCache = new Map();
+const inflight = new Map();
+
+/**
+ * Build the discovery document URL for an issuer
+ * @param {string} issuer - The issuer identifier
+ * @returns {string} The openid-configuration URL
+ */
+export const getDiscoveryUrl = (issuer) => issuer.replace(/\/+$/, '') + WELL_KNOWN_PATH;
+
+/**
+ * Validate discovery metadata against the issuer it was fetched for
+ * @param {string} issuer - The configured issuer identifier
+ * @param {Object} metadata - The parsed openid-configuration
+ * @returns {Object} The metadata
+ */
+const validateMetadata = (issuer, metadata) => {
+    if (!metadata || typeof metadata !== 'object') {
+        throw new DiscoveryError('[OCID SDK | Discovery] Invalid discovery document');
+    }
+
+    // section 4.3, the issuer must be identical to the one the document was requested for
+    if (metadata.issuer !== issuer) {
+        throw new DiscoveryError(`[OCID SDK | Discovery] Issuer mismatch: expected ${issuer}, got ${metadata.issuer}`, {
+            code: ErrorCodes.ISSUER_MISMATCH
+        });
+    }
+
+    // endpoints must use https, plain http is only accepted for an http issuer (local development)
+    const allowedProtocols = new URL(issuer).protocol === 'http:' ? ['https:', 'http:'] : ['https:'];
+    const invalid = [...REQUIRED_ENDPOINTS, ...OPTIONAL_ENDPOINTS].filter(name => {
+        if (metadata[name] === undefined) {
+            return REQUIRED_ENDPOINTS.includes(name);
+        }
+        try {
+            return !allowedProtocols.includes(new URL(metadata[name]).protocol);
+        } catch (error) {
+            return true;
+        }
+    });
+    if (invalid.length > 0) {
+        throw new DiscoveryError(`[OCID SDK | Discovery] Missing or invalid endpoints: ${invalid.join(', ')}`);
+    }
+
+    return metadata;
+};
+
+/**
+ * Download and validate an issuer's discovery document
+ * @param {string} issuer - The issuer identifier
+ * @returns {Promise<Object>} The metadata and its cache TTL
+ */
+const downloadMetadata = async (issuer) => {
+    const url = getDiscoveryUrl(issuer);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+            },
+            signal: AbortSignal.timeout ? AbortSignal.timeout(10000) : undefined
+        });
+    } catch (error) {
+        throw new NetworkError(`[OCID SDK | Discovery] Failed to fetch ${url}: ${error.message}`, { cause: error });
+    }
+
+    if (!response.ok) {
+        throw new DiscoveryError(`[OCID SDK | Discovery] Failed to fetch ${url}: ${response.status}`, {
+            status: response.status
+        });
+    }
+
+    let metadata;
+    try {
+        metadata = await response.json();
+    } catch (error) {
+        throw new DiscoveryError('[OCID SDK | Discovery] Discovery document is not JSON', {
+            cause: error,
+            status: response.status
+        });
+    }
+
+    return { metadata: validateMetadata(issuer, metadata), ttl: getTTLFromHeaders(response.headers) };
+};
+
+/**
+ * Fetch an issuer's metadata with caching.
+ * A fresh cached copy is returned as is; when refreshing fails an expired copy is used instead.
+ * @param {string} issuer - The issuer identifier
+ * @param {Object} options - { store, forceRefresh }
+ *   store: persistent { getItem, setItem } store so the metadata survives cold starts
+ *   forceRefresh: bypass the cache
+ * @returns {Promise<Object>} The validated metadata
+ */
+export const fetchDiscoveryDocument = async (issuer, options = {}) => {
+    const { store, forceRefresh } = options;
+
+    let entry = memoryCache.get(issuer);
+    if (!entry && store) {
+        try {
+            entry = await store.getItem(issuer);
+        } catch (error) {
+            logger.warn('Discovery: unable to read cached metadata', error);
+        }
+    }
+
+    if (entry && !forceRefresh && Date.now() < entry.expiresAt) {
+        return entry.metadata;
+    }
+
+    if (!inflight.has(issuer)) {
+        const request = downloadMetadata(issuer)
+            .then(async ({ metadata, ttl }) => {
+                const fresh = { metadata, expiresAt: Date.now() + ttl };
+                memoryCache.set(issuer, fresh);
+                if (store) {
+                    try {
+                        await store.setItem(issuer, fresh);
+                    } catch (error) {
+                        logger.warn('Discovery: unable to persist metadata', error);
+                    }
+                }
+                return metadata;
+            })
+            .finally(() => {
+                inflight.delete(issuer);
+            });
+        inflight.set(issuer, request);
+    }
+
+    try {
+        return await inflight.get(issuer);
+    } catch (error) {
+        // an issuer mismatch is never papered over with an older copy
+        if (entry && error.code !== ErrorCodes.ISSUER_MISMATCH) {
+            logger.warn('Discovery: refresh failed, using cached metadata', error);
+            return entry.metadata;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Clear the in-memory discovery cache
+ */
+export const clearDiscoveryCache = () => {
+    memoryCache.clear();
+    inflight.clear();
+};
@@ -1,2 +1,6 @@
 export * from './lib';
 export * from './auth';
+export * from './utils/errors';
+export { LOG_LEVELS, configureLogger, redact } from './utils/logger';
+export { JWKS_POLICY_PINNED_FIRST, JWKS_POLICY_PINNED_ONLY, JWKS_POLICY_REMOTE_FIRST } from './crypto/jwks';
+export { DEFAULT_JWS_ALGORITHMS, registerJWSAlgorithm } from './crypto/jwsAlgorithms';
@@ -23,9 +23,20 @@ class AuthInfoManager
         this._emitter = new Emitter();
     }
 
-    setAuthState (accessToken, idToken, OCId, ethAddress, isAuthenticated)
+    setAuthState (accessToken, idToken, OCId, ethAddress, isAuthenticated, userInfo = null)
     {
-        this._authState = { accessToken, idToken, OCId, ethAddress, isAuthenticated };
+        this._authState = { accessToken, idToken, OCId, ethAddress, isAuthenticated, userInfo };
+        this._emitter.emit(EVENT_AUTH_STATE_CHANGE, this._authState);
+    }
+
+    // merge a freshly fetched userinfo response into the signed in state
+    setUserInfo (userInfo)
+    {
+        if (!this._authState || !this._authState.isAuthenticated)
+        {
+            return;
+        }
+        this._authState = Object.assign({}, this._authState, { userInfo });
         this._emitter.emit(EVENT_AUTH_STATE_CHANGE, this._authState);
     }
 
@@ -0,0 +1,148 @@
+/*!
+ * Copyright 2024-Present Animoca Brands Corporation Ltd.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToUtf8, utf8ToBytes } from '@noble/ciphers/utils';
+import { Buffer } from 'buffer';
+import { webcrypto } from '../crypto';
+import { ConfigurationError, StorageError } from '../utils/errors';
+import { logger } from '../utils/logger';
+
+const BLOB_PREFIX = 'oc-enc-v1:';
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 24;
+
+const randomBytes = ( length ) =>
+{
+    const bytes = new Uint8Array( length );
+    webcrypto.getRandomValues( bytes );
+    return bytes;
+};
+
+// accepts raw key bytes or their base64 / base64url encoding
+const normalizeKey = ( key ) =>
+{
+    const bytes = typeof key === 'string' ? new Uint8Array( Buffer.from( key, 'base64' ) ) : key;
+    if ( !( bytes instanceof Uint8Array ) || bytes.length !== KEY_LENGTH )
+    {
+        throw new ConfigurationError( `storage encryption key must be ${ KEY_LENGTH } bytes` );
+    }
+    return bytes;
+};
+
+// key source backed by an expo-secure-store compatible keystore ({ getItemAsync, setItemAsync }),
+// a random key is generated and saved on first use
+export const createKeystoreKeySource = ( keystore, keyName = 'oc-storage-key' ) => async () =>
+{
+    const existing = await keystore.getItemAsync( keyName );
+    if ( existing )
+    {
+        return existing;
+    }
+
+    const key = Buffer.from( randomBytes( KEY_LENGTH ) ).toString( 'base64' );
+    await keystore.setItemAsync( keyName, key );
+    return key;
+};
+
+// Wraps any storage provider with XChaCha20-Poly1305 authenticated encryption.
+// `keySource` is a (possibly async) function returning a 32 byte key. The storage key is
+// bound as associated data so blobs cannot be swapped between entries. Anything that
+// fails to decrypt, including legacy cleartext, is removed and read as missing.
+export class EncryptedStorageProvider
+{
+    storageProvider;
+    keySource;
+    _keyPromise;
+
+    constructor ( storageProvider, keySource )
+    {
+        if ( typeof keySource !== 'function' )
+        {
+            throw new ConfigurationError( 'storage encryption requires a keySource function' );
+        }
+        this.storageProvider = storageProvider;
+        this.keySource = keySource;
+        this._keyPromise = null;
+    }
+
+    async getKey ()
+    {
+        if ( !this._keyPromise )
+        {
+            this._keyPromise = Promise.resolve( this.keySource() ).then( normalizeKey );
+            // let a failed lookup be retried on the next access
+            this._keyPromise.catch( () =>
+            {
+                this._keyPromise = null;
+            } );
+        }
+        return this._keyPromise;
+    }
+
+    // a key that cannot be loaded says nothing about the stored entry, so it is reported
+    // as a storage failure and the entry is left in place
+    async _loadKey ()
+    {
+        try
+        {
+            return await this.getKey();
+        } catch ( e )
+        {
+            throw new StorageError( 'Unable to load the storage encryption key', { cause: e } );
+        }
+    }
+
+    async getItem ( key )
+    {
+        const blob = await this.storageProvider.getItem( key );
+        if ( !blob )
+        {
+            return blob;
+        }
+
+        const encryptionKey = await this._loadKey();
+        try
+        {
+            if ( !blob.startsWith( BLOB_PREFIX ) )
+            {
+                throw new Error( 'not an encrypted blob' );
+            }
+            const sealed = new Uint8Array( Buffer.from( blob.slice( BLOB_PREFIX.length ), 'base64' ) );
+            const nonce = sealed.subarray( 0, NONCE_LENGTH );
+            const cipher = xchacha20poly1305( encryptionKey, nonce, utf8ToBytes( key ) );
+
+            return bytesToUtf8( cipher.decrypt( sealed.subarray( NONCE_LENGTH ) ) );
+        } catch ( e )
+        {
+            logger.warn( 'Encrypted storage: discarding unreadable or tampered entry', key );
+            await this.storageProvider.removeItem( key );
+            return null;
+        }
+    }
+
+    async setItem ( key, value )
+    {
+        const encryptionKey = await this._loadKey();
+        const nonce = randomBytes( NONCE_LENGTH );
+        const cipher = xchacha20poly1305( encryptionKey, nonce, utf8ToBytes( key ) );
+        const ciphertext = cipher.encrypt( utf8ToBytes( value ) );
+
+        const sealed = new Uint8Array( NONCE_LENGTH + ciphertext.length );
+        sealed.set( nonce );
+        sealed.set( ciphertext, NONCE_LENGTH );
+
+        return await this.storageProvider.setItem( key, BLOB_PREFIX + Buffer.from( sealed ).toString( 'base64' ) );
+    }
+
+    async removeItem ( key )
+    {
+        return await this.storageProvider.removeItem( key );
+    }
+}
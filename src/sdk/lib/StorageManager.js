@@ -8,18 +8,101 @@
 * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 
-import { InternalError } from "../utils/errors";
+import { ConfigurationError, ErrorCodes, StorageError } from "../utils/errors";
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CookieStorageProvider } from './CookieStorageProvider';
+import { EncryptedStorageProvider } from './EncryptedStorageProvider';
+import { MemoryStorageProvider } from './MemoryStorageProvider';
+
+export const STORAGE_TYPE_ASYNC_STORAGE = 'asyncStorage';
+export const STORAGE_TYPE_MEMORY = 'memory';
+export const STORAGE_TYPE_COOKIE = 'cookie';
+
+const PROVIDER_METHODS = [ 'getItem', 'setItem', 'removeItem' ];
+
+// every non empty blob is stamped with the schema version it was written with
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Shared per provider and storage name, so every SavedObject (and every SDK instance)
+// touching the same blob goes through one queue and one cache:
+// queue - tail of the serialized operations, cache - last parsed blob or undefined
+const storageStates = new WeakMap();
+
+const getStorageState = ( storageProvider, storageName ) =>
+{
+    let states = storageStates.get( storageProvider );
+    if ( !states )
+    {
+        states = new Map();
+        storageStates.set( storageProvider, states );
+    }
+    if ( !states.has( storageName ) )
+    {
+        states.set( storageName, { queue: Promise.resolve(), cache: undefined } );
+    }
+    return states.get( storageName );
+};
 
 class SavedObject
 {
     storageProvider;
     storageName;
+    schemaVersion;
+    _state;
 
-    constructor ( storageProvider, storageName )
+    constructor ( storageProvider, storageName, schemaVersion )
     {
         this.storageProvider = storageProvider;
+        this.schemaVersion = schemaVersion;
         this.storageName = storageName;
+        this._state = getStorageState( storageProvider, storageName );
+    }
+
+    // run `task` after every previously queued operation on this blob
+    _serialize ( task )
+    {
+        const run = this._state.queue.then( task, task );
+        this._state.queue = run.catch( () => {} );
+        return run;
+    }
+
+    async _read ()
+    {
+        if ( this._state.cache === undefined )
+        {
+            let storageString = await this.storageProvider.getItem( this.storageName );
+            storageString = storageString || '{}';
+            try
+            {
+                this._state.cache = JSON.parse( storageString );
+            } catch ( e )
+            {
+                throw new StorageError( 'Unable to parse storage string: ' + this.storageName, {
+                    cause: e,
+                    code: ErrorCodes.STORAGE_CORRUPTED
+                } );
+            }
+        }
+        return Object.assign( {}, this._state.cache );
+    }
+
+    async _write ( obj )
+    {
+        try
+        {
+            if ( obj && this.schemaVersion !== undefined && Object.keys( obj ).length > 0 )
+            {
+                obj = Object.assign( {}, obj, { [ SCHEMA_VERSION_KEY ]: this.schemaVersion } );
+            }
+            let storageString = obj ? JSON.stringify( obj ) : '{}';
+            await this.storageProvider.setItem( this.storageName, storageString );
+            this._state.cache = obj ? JSON.parse( storageString ) : {};
+        } catch ( e )
+        {
+            // the provider may or may not hold the new value, re-read next time
+            this._state.cache = undefined;
+            throw new StorageError( 'Unable to set storage: ' + this.storageName, { cause: e } );
+        }
     }
 
     async getItem ( key )
@@ -40,27 +123,12 @@ class SavedObject
 
     async getStorage ()
     {
-        let storageString = await this.storageProvider.getItem( this.storageName );
-        storageString = storageString || '{}';
-        try
-        {
-            return JSON.parse( storageString );
-        } catch ( e )
-        {
-            throw new InternalError( 'Unable to parse storage string: ' + this.storageName );
-        }
+        return await this._serialize( () => this._read() );
     }
 
     async setStorage ( obj )
     {
-        try
-        {
-            let storageString = obj ? JSON.stringify( obj ) : '{}';
-            await this.storageProvider.setItem( this.storageName, storageString );
-        } catch ( e )
-        {
-            throw new Error( 'Unable to set storage: ' + this.storageName );
-        }
+        return await this._serialize( () => this._write( obj ) );
     }
 
     async clearStorage ( key )
@@ -68,20 +136,40 @@ class SavedObject
         if ( !key )
         {
             // clear all
-            await this.storageProvider.removeItem( this.storageName );
-            return;
+            return await this._serialize( async () =>
+            {
+                this._state.cache = undefined;
+                await this.storageProvider.removeItem( this.storageName );
+                this._state.cache = {};
+            } );
         }
 
-        let obj = await this.getStorage();
-        delete obj[ key ];
-        await this.setStorage( obj );
+        return await this.updateItems( { [ key ]: undefined } );
     }
 
     async updateStorage ( key, value )
     {
-        let obj = await this.getStorage();
-        obj[ key ] = value;
-        await this.setStorage( obj );
+        return await this.updateItems( { [ key ]: value } );
+    }
+
+    // atomically apply several keys in one write, an undefined value removes the key
+    async updateItems ( changes )
+    {
+        return await this._serialize( async () =>
+        {
+            const obj = await this._read();
+            Object.keys( changes ).forEach( key =>
+            {
+                if ( changes[ key ] === undefined )
+                {
+                    delete obj[ key ];
+                } else
+                {
+                    obj[ key ] = changes[ key ];
+                }
+            } );
+            await this._write( obj );
+        } );
     }
 }
 
@@ -89,26 +177,142 @@ export class BaseStorageManager
 {
     storageProvider;
     storageName;
-    constructor ( storageName, storageProvider )
+    schemaVersion;
+    constructor ( storageName, storageProvider, schemaVersion )
     {
         this.storageName = storageName;
         this.storageProvider = storageProvider;
+        this.schemaVersion = schemaVersion;
     }
 
     getStorageObject ()
     {
-        return new SavedObject( this.storageProvider, this.storageName );
+        return new SavedObject( this.storageProvider, this.storageName, this.schemaVersion );
+    }
+
+    // move data written under a previous storage name into this one, once.
+    // Existing data under the current name wins, `shouldMigrate` can refuse foreign data
+    // which is then left in place for whoever owns it
+    async migrateFrom ( legacyStorageName, shouldMigrate = () => true )
+    {
+        if ( legacyStorageName === this.storageName )
+        {
+            return false;
+        }
+
+        const legacy = new SavedObject( this.storageProvider, legacyStorageName );
+        let data;
+        try
+        {
+            data = await legacy.getStorage();
+        } catch ( e )
+        {
+            // only corrupted legacy data is dropped, any other failure (e.g. a locked encryption key)
+            // may go away on the next start
+            if ( e.code !== ErrorCodes.STORAGE_CORRUPTED )
+            {
+                throw e;
+            }
+            await legacy.clearStorage();
+            return false;
+        }
+        if ( Object.keys( data ).length === 0 || !shouldMigrate( data ) )
+        {
+            return false;
+        }
+
+        // written as is so the schema migrations still see the legacy version
+        const target = new SavedObject( this.storageProvider, this.storageName );
+        if ( Object.keys( await target.getStorage() ).length === 0 )
+        {
+            await target.setStorage( data );
+        }
+        await legacy.clearStorage();
+        return true;
+    }
+
+    // drop data written under a previous storage name without adopting it
+    async discardLegacy ( legacyStorageName )
+    {
+        if ( legacyStorageName !== this.storageName )
+        {
+            await new SavedObject( this.storageProvider, legacyStorageName ).clearStorage();
+        }
     }
 }
 
+// storage names are suffixed with the namespace, e.g. oc-token-storage:sandbox:my-client
+export const getNamespacedStorageName = ( storageName, namespace ) =>
+{
+    return namespace ? `${ storageName }:${ namespace }` : storageName;
+};
+
 export class AsyncStorageManager extends BaseStorageManager
 {
-    constructor ( storageName )
+    constructor ( storageName, schemaVersion )
     {
-        super( storageName, AsyncStorage );
+        super( storageName, AsyncStorage, schemaVersion );
     }
 }
 
-export const getStorageClass = (opts) => {
-    return AsyncStorageManager;
-}
\ No newline at end of file
+export class MemoryStorageManager extends BaseStorageManager
+{
+    constructor ( storageName, schemaVersion )
+    {
+        super( storageName, new MemoryStorageProvider(), schemaVersion );
+    }
+}
+
+// bind any provider instance to the StorageManagerClass shape the managers expect
+export const createStorageClass = ( storageProvider ) =>
+{
+    const missing = PROVIDER_METHODS.filter( method => typeof storageProvider[ method ] !== 'function' );
+    if ( missing.length > 0 )
+    {
+        throw new ConfigurationError( 'storage provider must implement ' + missing.join( ', ' ) );
+    }
+
+    return class extends BaseStorageManager
+    {
+        constructor ( storageName, schemaVersion )
+        {
+            super( storageName, storageProvider, schemaVersion );
+        }
+    };
+};
+
+const resolveStorageProvider = ( opts ) =>
+{
+    const storage = opts.storage || opts.storageType || STORAGE_TYPE_ASYNC_STORAGE;
+    if ( typeof storage === 'object' )
+    {
+        return storage;
+    }
+
+    switch ( storage )
+    {
+        case STORAGE_TYPE_ASYNC_STORAGE:
+            return AsyncStorage;
+        case STORAGE_TYPE_MEMORY:
+            return new MemoryStorageProvider();
+        case STORAGE_TYPE_COOKIE:
+            // react-native-web only, cookies need a document
+            return new CookieStorageProvider( opts );
+        default:
+            throw new ConfigurationError( 'Unknown storage type: ' + storage );
+    }
+};
+
+// `storage` is either one of the built in STORAGE_TYPE_* names or an object implementing
+// getItem/setItem/removeItem (sync or async). `storageType` is accepted as an alias of the name.
+// `storageEncryption: { keySource }` encrypts whatever provider was picked.
+export const getStorageClass = ( opts = {} ) =>
+{
+    let storageProvider = resolveStorageProvider( opts );
+    if ( opts.storageEncryption )
+    {
+        storageProvider = new EncryptedStorageProvider( storageProvider, opts.storageEncryption.keySource );
+    }
+
+    return createStorageClass( storageProvider );
+};
@@ -8,90 +8,459 @@
 * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 // import StorageManager from './StorageManager';
+import Emitter from 'tiny-emitter';
 import { parseJwt } from '../utils';
-import { verifyToken } from '../crypto';
-import { AuthError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { getNamespacedStorageName } from './StorageManager';
+import { STORAGE_KIND_TOKEN, getSchemaVersion, migrateStorageSchema } from './storageMigrations';
+import {
+    GRANT_AUTHORIZATION_CODE,
+    GRANT_REFRESH_TOKEN,
+    TOKEN_EXCHANGE_STANDARD,
+    getTokenExchangeStrategy,
+} from './tokenExchange';
+import {
+    DEFAULT_JWS_ALGORITHMS,
+    JWKS_POLICY_PINNED_FIRST,
+    JWKS_POLICY_PINNED_ONLY,
+    JWKS_POLICY_REMOTE_FIRST,
+    createClaimsPolicy,
+    verifyJWT,
+} from '../crypto';
+import {
+    AuthError,
+    ConfigurationError,
+    ErrorCodes,
+    TokenExchangeError,
+    TokenRenewalError,
+    TokenVerificationError,
+    toOCError,
+} from '../utils/errors';
 
 const TOKEN_STORAGE_NAME = 'oc-token-storage';
+// public keys only, shared by every client and environment (entries are keyed by JWKS URL)
+const JWKS_STORAGE_NAME = 'oc-jwks-cache';
+
+// issuer of OCID tokens unless the claims policy lists others
+const DEFAULT_ISSUER = 'OpenCampus';
+
+// renew this many seconds before the access token expires
+const DEFAULT_RENEW_BEFORE_SECONDS = 60;
+// floor between scheduled renewals, so tokens that arrive already expired cannot renew in a tight loop
+const MIN_RENEW_DELAY = 1000;
+// setTimeout overflows beyond a signed 32 bit delay
+const MAX_TIMER_DELAY = 2147483647;
+
+export const EVENT_TOKEN_RENEWED = 'tokenRenewed';
+export const EVENT_TOKEN_RENEW_ERROR = 'tokenRenewError';
+export const EVENT_SIGN_IN_REQUIRED = 'signInRequired';
+
+const JWKS_POLICIES = [ JWKS_POLICY_REMOTE_FIRST, JWKS_POLICY_PINNED_FIRST, JWKS_POLICY_PINNED_ONLY ];
 
 class TokenManager
 {
     storageManager;
+    jwksStorageManager;
     tokenExpiredAt;
     tokenEndPoint;
+    refreshTokenEndPoint;
+    revokeEndPoint;
     jwksUrl;
     clientId;
+    redirectUri;
+    exchangeStrategy;
+    autoRenew;
+    renewBeforeSeconds;
+    pinnedJwks;
+    jwksPolicy;
+    allowedAlgorithms;
+    claimsPolicy;
+    accessTokenPolicy;
+    _configuredIssuers;
+    _emitter;
+    _renewPromise;
+    _renewTimer;
 
-    constructor ( StorageManagerClass, tokenEndPoint, jwksUrl, clientId )
+    constructor ( StorageManagerClass, tokenEndPoint, jwksUrl, clientId, opts = {} )
     {
-        this.storageManager = new StorageManagerClass( TOKEN_STORAGE_NAME );
+        this.storageManager = new StorageManagerClass(
+            getNamespacedStorageName( TOKEN_STORAGE_NAME, opts.storageNamespace ),
+            getSchemaVersion( STORAGE_KIND_TOKEN )
+        );
+        this.jwksStorageManager = new StorageManagerClass( JWKS_STORAGE_NAME );
         this.tokenEndPoint = tokenEndPoint;
+        this.refreshTokenEndPoint = opts.refreshTokenEndPoint || tokenEndPoint;
+        this.revokeEndPoint = opts.revokeEndPoint;
         this.jwksUrl = jwksUrl;
         this.clientId = clientId;
+        this.redirectUri = opts.redirectUri;
+        this.exchangeStrategy = getTokenExchangeStrategy( opts.tokenExchange );
+        if ( opts.tokenExchange === TOKEN_EXCHANGE_STANDARD && !this.redirectUri )
+        {
+            throw new ConfigurationError( 'tokenExchange standard requires redirectUri' );
+        }
+        this.autoRenew = opts.autoRenew !== false;
+        this.renewBeforeSeconds = opts.renewBeforeSeconds ?? DEFAULT_RENEW_BEFORE_SECONDS;
+        this.jwksPolicy = opts.jwksPolicy || JWKS_POLICY_REMOTE_FIRST;
+        if ( !JWKS_POLICIES.includes( this.jwksPolicy ) )
+        {
+            throw new ConfigurationError( 'Unknown jwksPolicy: ' + this.jwksPolicy );
+        }
+        this.allowedAlgorithms = opts.allowedAlgorithms || DEFAULT_JWS_ALGORITHMS;
+        if ( !Array.isArray( this.allowedAlgorithms ) || this.allowedAlgorithms.length === 0
+            || this.allowedAlgorithms.some( alg => typeof alg !== 'string' || alg.toLowerCase() === 'none' ) )
+        {
+            throw new ConfigurationError( 'allowedAlgorithms must be a non empty list of JWS algorithms other than none' );
+        }
+        // issuers set explicitly are kept when discovery resolves the issuer
+        this._configuredIssuers = {
+            idToken: !!( opts.claimsPolicy && opts.claimsPolicy.issuers ),
+            accessToken: !!( opts.accessTokenPolicy && opts.accessTokenPolicy.issuers ),
+        };
+        this.claimsPolicy = createClaimsPolicy( opts.claimsPolicy, {
+            issuers: [ DEFAULT_ISSUER ],
+            audiences: [ clientId ],
+        } );
+        // access tokens are only verified on request, their audience is the API rather than this client
+        this.accessTokenPolicy = opts.accessTokenPolicy
+            ? createClaimsPolicy( opts.accessTokenPolicy === true ? {} : opts.accessTokenPolicy, {
+                issuers: this.claimsPolicy.issuers,
+                leewaySeconds: this.claimsPolicy.leewaySeconds,
+            } )
+            : null;
+        this.pinnedJwks = null;
+        if ( opts.pinnedJwks )
+        {
+            this.setPinnedJwks( opts.pinnedJwks );
+        } else if ( this.jwksPolicy === JWKS_POLICY_PINNED_ONLY )
+        {
+            throw new ConfigurationError( 'jwksPolicy pinnedOnly requires pinnedJwks' );
+        }
+        this._emitter = new Emitter();
+        this._renewPromise = null;
+        this._renewTimer = null;
+    }
+
+    // adopt tokens saved before storage was namespaced, but only when they were issued to this client
+    async migrateLegacyStorage ()
+    {
+        return await this.storageManager.migrateFrom( TOKEN_STORAGE_NAME, ( { id_token } ) =>
+        {
+            try
+            {
+                const { aud } = parseJwt( id_token );
+                return ( Array.isArray( aud ) ? aud : [ aud ] ).includes( this.clientId );
+            } catch ( e )
+            {
+                return false;
+            }
+        } );
+    }
+
+    async migrateSchema ()
+    {
+        return await migrateStorageSchema( this.storageManager, STORAGE_KIND_TOKEN );
     }
 
     async clear ()
     {
+        this.cancelRenewal();
         await this.storageManager.getStorageObject().clearStorage();
     }
 
-    async exchangeTokenFromCode ( accessCode, codeVerifier, state = null )
+    async exchangeTokenFromCode ( accessCode, codeVerifier, state = null, nonce = null, maxAge = undefined )
     {
-        const body = { accessCode, codeVerifier };
-        console.log('Token exchange request:', { endpoint: this.tokenEndPoint, body });
+        logger.debug('Token exchange request:', { endpoint: this.tokenEndPoint });
         try
         {
-            const response = await fetch( this.tokenEndPoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify( body ),
+            const responseData = await this.exchangeStrategy( {
+                grantType: GRANT_AUTHORIZATION_CODE,
+                tokenEndPoint: this.tokenEndPoint,
+                clientId: this.clientId,
+                redirectUri: this.redirectUri,
+                code: accessCode,
+                codeVerifier,
             } );
 
-            console.log('Token exchange response status:', response.status);
-            const responseData = await response.json();
-            console.log('Token exchange response data:', responseData);
-            
-            // Handle sandbox verification error specifically
-            if (responseData.error && responseData.error.subType === 'SANDBOX_WALLET_ERROR') {
-                throw new AuthError(JSON.stringify(responseData.error));
-            }
-            
-            const { access_token, id_token } = responseData;
+            logger.debug('Token exchange response:', responseData);
+
+            const { access_token, id_token } = responseData || {};
             if ( !access_token || !id_token )
             {
-                throw new AuthError( 'Fail to exchange token: ' + JSON.stringify(responseData) );
+                throw new TokenExchangeError( 'Fail to exchange token: access_token or id_token missing', {
+                    body: responseData,
+                } );
+            }
+
+            await this.saveTokenResponse( responseData, state, {}, nonce, this.getClaimsPolicy( maxAge ) );
+        } catch ( error )
+        {
+            logger.error( 'Token exchange failed:', error );
+            throw toOCError( error, TokenExchangeError, 'Token acquisition failed' );
+        }
+    }
+
+    // a max_age sent on the authorize request tightens the configured policy for that login
+    getClaimsPolicy ( maxAge )
+    {
+        if ( maxAge === undefined )
+        {
+            return this.claimsPolicy;
+        }
+        const configured = this.claimsPolicy.maxAge;
+        return Object.assign( {}, this.claimsPolicy, {
+            maxAge: configured === undefined ? maxAge : Math.min( configured, maxAge )
+        } );
+    }
+
+    // renewed id_tokens keep the original auth_time, max_age only applies to the login itself
+    getRenewalClaimsPolicy ()
+    {
+        return Object.assign( {}, this.claimsPolicy, { maxAge: undefined } );
+    }
+
+    // verify a JWT against the configured JWKS, throwing the typed failure
+    async verifyWithJWKS ( token, options )
+    {
+        const jwksUrl = await this.getJWKSUrl();
+        const result = await verifyJWT( token, jwksUrl, Object.assign( {
+            jwksStore: this.jwksStorageManager.getStorageObject(),
+            pinnedJwks: this.pinnedJwks,
+            jwksPolicy: this.jwksPolicy,
+            allowedAlgorithms: this.allowedAlgorithms
+        }, options ) );
+
+        if ( !result.valid )
+        {
+            throw result.cause;
+        }
+        return result.payload;
+    }
+
+    // verify the tokens returned by the token endpoint and persist them,
+    // anything a refresh response omits is carried over from `previous`,
+    // `nonce` is only known for the authorization code exchange
+    async saveTokenResponse ( responseData, state = null, previous = {}, nonce = null, claimsPolicy = this.getRenewalClaimsPolicy() )
+    {
+        const { access_token, refresh_token } = responseData;
+        const id_token = responseData.id_token || previous.id_token;
+
+        // Session expiry only comes from verified claims: the access token when access token
+        // verification is on, otherwise the id_token verified with this response. The unverified
+        // expires_in and access token exp are never used
+        let expired;
+        if ( responseData.id_token )
+        {
+            const idTokenClaims = await this.verifyWithJWKS( id_token, {
+                claimsPolicy,
+                expectedNonce: nonce,
+                accessToken: access_token
+            } );
+            expired = idTokenClaims.exp;
+        }
+        if ( this.accessTokenPolicy )
+        {
+            const accessTokenClaims = await this.verifyWithJWKS( access_token, {
+                claimsPolicy: this.accessTokenPolicy
+            } );
+            expired = accessTokenClaims.exp;
+        }
+        // A renewal answered without an id_token (and accessTokenPolicy off) cannot extend the session:
+        // it keeps the previously verified expiry and is not renewable, so the user signs in again then
+        const renewable = expired !== undefined;
+        if ( !renewable )
+        {
+            if ( !previous.expired )
+            {
+                throw new TokenVerificationError( 'Cannot determine token expiry: no id_token and no verified access token' );
             }
-            
-            // Verify token with cryptographic signature verification using JWKS
-            const jwksUrl = await this.getJWKSUrl();
-            const tokenVerified = await verifyToken( id_token, jwksUrl, {
-                expectedIssuer: 'OpenCampus',
-                expectedAudience: this.clientId
-            });
-            
-            if ( !tokenVerified )
+            logger.warn( 'Token response without verified expiry, the session ends at the previous expiry' );
+            expired = previous.expired;
+        }
+
+        const refreshToken = renewable && ( refresh_token || previous.refresh_token );
+        const storageData = Object.assign(
+            {
+                access_token,
+                id_token,
+                expired
+            },
+            refreshToken && { refresh_token: refreshToken },
+            ( state || previous.state ) && { state: state || previous.state }
+        );
+        await this.storageManager.getStorageObject().setStorage( storageData );
+        this.scheduleRenewal( storageData.expired, !!storageData.refresh_token );
+    }
+
+    async renewTokens ()
+    {
+        // single flight, concurrent callers share the same renewal
+        if ( !this._renewPromise )
+        {
+            this._renewPromise = this._renewTokens().finally( () =>
+            {
+                this._renewPromise = null;
+            } );
+        }
+        return this._renewPromise;
+    }
+
+    async _renewTokens ()
+    {
+        const refreshToken = await this.getRefreshToken();
+        if ( !refreshToken )
+        {
+            const error = new TokenRenewalError( 'No refresh token available, sign in required' );
+            this._emitter.emit( EVENT_TOKEN_RENEW_ERROR, error );
+            throw error;
+        }
+
+        try
+        {
+            const responseData = await this.exchangeStrategy( {
+                grantType: GRANT_REFRESH_TOKEN,
+                tokenEndPoint: this.refreshTokenEndPoint,
+                clientId: this.clientId,
+                refreshToken,
+            } );
+            if ( !responseData || !responseData.access_token )
             {
-                throw new AuthError( 'Unable to verify token: signature or claims validation failed' );
+                throw new TokenRenewalError( 'Fail to renew token: access_token missing', {
+                    body: responseData,
+                } );
             }
-            const parsedAccessToken = parseJwt( access_token );
-            const storageData = Object.assign(
-                {
-                    access_token,
-                    id_token,
-                    expired: parsedAccessToken.exp
-                },
-                state && { state }
-            );
-            await this.storageManager.getStorageObject().setStorage(storageData);
+
+            const previous = await this.storageManager.getStorageObject().getStorage();
+            await this.saveTokenResponse( responseData, null, previous );
         } catch ( error )
         {
-            console.log( error );
-            throw new AuthError( 'Token acquisition failed' );
+            logger.warn( 'Token renewal failed:', error );
+            const renewError = error instanceof TokenRenewalError ? error : new TokenRenewalError( 'Token renewal failed', {
+                cause: error,
+                status: error.status,
+                body: error.body,
+            } );
+            this._emitter.emit( EVENT_TOKEN_RENEW_ERROR, renewError );
+            throw renewError;
+        }
+
+        const tokens = {
+            accessToken: await this.getAccessToken(),
+            idToken: await this.getIdToken(),
+        };
+        this._emitter.emit( EVENT_TOKEN_RENEWED, tokens );
+        return tokens;
+    }
+
+    // RFC 7009 revocation of the stored tokens, resolves to true when every
+    // token was accepted by the server, false when revocation is unsupported
+    async revokeTokens ()
+    {
+        if ( !this.revokeEndPoint )
+        {
+            return false;
+        }
+
+        const tokens = [
+            [ 'refresh_token', await this.getRefreshToken() ],
+            [ 'access_token', await this.getAccessToken() ],
+        ].filter( ( [ , token ] ) => !!token );
+
+        for ( const [ tokenTypeHint, token ] of tokens )
+        {
+            const response = await fetch( this.revokeEndPoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams( {
+                    token,
+                    token_type_hint: tokenTypeHint,
+                    client_id: this.clientId,
+                } ).toString(),
+            } );
+            if ( !response.ok )
+            {
+                throw new AuthError( `Fail to revoke ${tokenTypeHint}: ${response.status}`, {
+                    code: ErrorCodes.TOKEN_REVOCATION,
+                    status: response.status,
+                } );
+            }
+        }
+        return true;
+    }
+
+    isRenewing ()
+    {
+        return !!this._renewPromise;
+    }
+
+    // resolves once an in-flight renewal settles, never rejects
+    async waitForRenewal ()
+    {
+        if ( this._renewPromise )
+        {
+            await this._renewPromise.catch( () => {} );
+        }
+    }
+
+    // the session cannot be recovered without a new interactive login
+    notifySignInRequired ( reason )
+    {
+        this._emitter.emit( EVENT_SIGN_IN_REQUIRED, reason );
+    }
+
+    async canRenew ()
+    {
+        return !!( await this.getRefreshToken() );
+    }
+
+    // arm a timer that renews the session shortly before the access token expires
+    scheduleRenewal ( expiredAt, hasRefreshToken )
+    {
+        this.cancelRenewal();
+        if ( !this.autoRenew || !expiredAt || !hasRefreshToken )
+        {
+            return;
+        }
+
+        // tokens living shorter than renewBeforeSeconds are renewed halfway through their remaining lifetime
+        const now = Math.round( new Date().valueOf() / 1000 );
+        const remaining = expiredAt - now;
+        const renewBefore = Math.min( this.renewBeforeSeconds, remaining / 2 );
+        const delay = Math.max( MIN_RENEW_DELAY, ( remaining - renewBefore ) * 1000 );
+        this._renewTimer = setTimeout( () =>
+        {
+            this._renewTimer = null;
+            // failures are reported through EVENT_TOKEN_RENEW_ERROR
+            this.renewTokens().catch( () => {} );
+        }, Math.min( delay, MAX_TIMER_DELAY ) );
+    }
+
+    async resumeRenewal ()
+    {
+        this.scheduleRenewal( await this.getExpiredAt(), await this.canRenew() );
+    }
+
+    cancelRenewal ()
+    {
+        if ( this._renewTimer )
+        {
+            clearTimeout( this._renewTimer );
+            this._renewTimer = null;
         }
     }
 
+    subscribe ( event, handler )
+    {
+        this._emitter.on( event, handler );
+    }
+
+    unsubscribe ( event, handler )
+    {
+        this._emitter.off( event, handler );
+    }
+
     async getStateParameter ()
     {
         return await this.storageManager.getStorageObject().getItem( 'state' );
@@ -107,6 +476,28 @@ class TokenManager
         return await this.storageManager.getStorageObject().getItem( 'access_token' );
     }
 
+    async getRefreshToken ()
+    {
+        return await this.storageManager.getStorageObject().getItem( 'refresh_token' );
+    }
+
+    // the userinfo response is kept in the token blob, so saving new tokens or clearing drops it
+    async getCachedUserInfo ()
+    {
+        return ( await this.storageManager.getStorageObject().getItem( 'userinfo' ) ) || null;
+    }
+
+    // cache `userInfo` with the stored tokens, unless they were cleared meanwhile (logout)
+    async saveUserInfo ( userInfo )
+    {
+        if ( !await this.getAccessToken() )
+        {
+            return false;
+        }
+        await this.storageManager.getStorageObject().updateStorage( 'userinfo', userInfo );
+        return true;
+    }
+
     async getExpiredAt () 
     {
         return await this.storageManager.getStorageObject().getItem( 'expired' );
@@ -117,6 +508,45 @@ class TokenManager
         return this.jwksUrl;
     }
 
+    // take the token, revocation and JWKS endpoints from issuer discovery unless they were
+    // set explicitly. Tokens must then come from the discovered issuer, unless the claims
+    // policy lists its own issuers
+    useDiscoveryMetadata ( metadata, overrides = {} )
+    {
+        this.tokenEndPoint = overrides.tokenEndPoint || metadata.token_endpoint;
+        this.refreshTokenEndPoint = overrides.refreshTokenEndPoint || this.tokenEndPoint;
+        this.revokeEndPoint = overrides.revokeEndPoint || metadata.revocation_endpoint || this.revokeEndPoint;
+        this.jwksUrl = overrides.jwksUrl || metadata.jwks_uri;
+        if ( !this._configuredIssuers.idToken )
+        {
+            this.claimsPolicy = Object.assign( {}, this.claimsPolicy, { issuers: [ metadata.issuer ] } );
+        }
+        if ( this.accessTokenPolicy && !this._configuredIssuers.accessToken )
+        {
+            this.accessTokenPolicy = Object.assign( {}, this.accessTokenPolicy, { issuers: this.claimsPolicy.issuers } );
+        }
+    }
+
+    // replace the keys verification may use without the network, e.g. after an app update
+    // shipped a new key set. Only public keys are kept
+    setPinnedJwks ( jwks )
+    {
+        if ( !jwks || !Array.isArray( jwks.keys ) || jwks.keys.length === 0 )
+        {
+            throw new ConfigurationError( 'pinnedJwks must be a JWKS object with a non empty keys array' );
+        }
+        if ( jwks.keys.some( key => !key || typeof key.kty !== 'string' || key.d !== undefined ) )
+        {
+            throw new ConfigurationError( 'pinnedJwks must only contain public JWKs' );
+        }
+        this.pinnedJwks = { keys: jwks.keys.map( key => Object.assign( {}, key ) ) };
+    }
+
+    getPinnedJwks ()
+    {
+        return this.pinnedJwks;
+    }
+
     async hasExpired ()
     {
         const expiredAt = await this.getExpiredAt();
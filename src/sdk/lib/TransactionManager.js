@@ -14,7 +14,10 @@
 // A transaction contains a few things that we want to carry over multiple
 // times interacting with the SDK
 // Currently just used for
-// codeChallenge, codeVerifier, codeChallengeMethod
+// codeChallenge, codeVerifier, codeChallengeMethod, csrfToken, nonce (and maxAge when requested)
+
+import { getNamespacedStorageName } from './StorageManager';
+import { STORAGE_KIND_TRANSACTION, getSchemaVersion, migrateStorageSchema } from './storageMigrations';
 
 const TRANSACTION_STORAGE_NAME = 'oc-transaction-storage';
 
@@ -22,9 +25,25 @@ class TransactionManager
 {
     storageManager;
 
-    constructor ( StorageManagerClass )
+    constructor ( StorageManagerClass, storageNamespace )
+    {
+        this.storageManager = new StorageManagerClass(
+            getNamespacedStorageName( TRANSACTION_STORAGE_NAME, storageNamespace ),
+            getSchemaVersion( STORAGE_KIND_TRANSACTION )
+        );
+    }
+
+    async migrateSchema ()
+    {
+        return await migrateStorageSchema( this.storageManager, STORAGE_KIND_TRANSACTION );
+    }
+
+    // A pending transaction saved before storage was namespaced records no client id, so it
+    // cannot be attributed to this client like legacy tokens are. Drop it, the login is restarted
+    async migrateLegacyStorage ()
     {
-        this.storageManager = new StorageManagerClass( TRANSACTION_STORAGE_NAME );
+        await this.storageManager.discardLegacy( TRANSACTION_STORAGE_NAME );
+        return false;
     }
 
     // called when we start a new transaction
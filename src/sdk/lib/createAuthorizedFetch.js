@@ -0,0 +1,121 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { SignInRequiredError } from '../utils/errors';
+import { logger } from '../utils/logger';
+
+const HTTP_UNAUTHORIZED = 401;
+
+const isRequest = ( input ) => typeof Request !== 'undefined' && input instanceof Request;
+
+// init.headers replace the headers of a Request input, so start from those when there are none
+const withBearerToken = ( input, init, accessToken ) =>
+{
+    const headers = new Headers( init.headers || ( isRequest( input ) ? input.headers : {} ) );
+    headers.set( 'Authorization', `Bearer ${ accessToken }` );
+
+    return Object.assign( {}, init, { headers } );
+};
+
+// bodies that can be sent again, a stream is consumed by the first attempt
+const isReplayableBody = ( body ) =>
+    body === undefined || body === null || typeof body === 'string' ||
+    body instanceof ArrayBuffer || ArrayBuffer.isView( body ) ||
+    ( typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams ) ||
+    ( typeof Blob !== 'undefined' && body instanceof Blob ) ||
+    ( typeof FormData !== 'undefined' && body instanceof FormData );
+
+// returns a fetch compatible function that sends the OCID access token as a bearer token.
+// It waits for any in-flight renewal, renews an expired session before sending, and on a
+// 401 renews (or re-syncs when no refresh token is held) and retries exactly once. A Request
+// input is cloned for the retry; with a stream body in `init` the 401 is returned after renewing.
+// When the session cannot be recovered EVENT_SIGN_IN_REQUIRED is emitted on the token manager.
+export const createAuthorizedFetch = ( ocAuth, options = {} ) =>
+{
+    const baseFetch = options.fetch || ( ( ...args ) => fetch( ...args ) );
+    const { tokenManager } = ocAuth;
+
+    // a token different from `staleToken`, or null when none can be obtained
+    const recoverAccessToken = async ( staleToken ) =>
+    {
+        await tokenManager.waitForRenewal();
+        let accessToken = await tokenManager.getAccessToken();
+        if ( accessToken && accessToken !== staleToken && !( await tokenManager.hasExpired() ) )
+        {
+            return accessToken;
+        }
+
+        if ( await tokenManager.canRenew() )
+        {
+            try
+            {
+                await tokenManager.renewTokens();
+            } catch ( e )
+            {
+                return null;
+            }
+        } else
+        {
+            // storage may have been updated by another login, pick it up
+            await ocAuth.syncAuthInfo();
+        }
+
+        accessToken = await tokenManager.getAccessToken();
+        if ( !accessToken || accessToken === staleToken || await tokenManager.hasExpired() )
+        {
+            return null;
+        }
+        return accessToken;
+    };
+
+    const signInRequired = ( reason ) =>
+    {
+        logger.warn( 'Authorized fetch: sign in required,', reason );
+        tokenManager.notifySignInRequired( reason );
+    };
+
+    return async ( input, init = {} ) =>
+    {
+        await tokenManager.waitForRenewal();
+        let accessToken = await tokenManager.getAccessToken();
+        if ( !accessToken || await tokenManager.hasExpired() )
+        {
+            accessToken = await recoverAccessToken( accessToken );
+        }
+        if ( !accessToken )
+        {
+            signInRequired( 'no valid access token' );
+            throw new SignInRequiredError( 'No valid access token, sign in required' );
+        }
+
+        // the first attempt consumes the body of a Request, keep an unread copy for the retry
+        const retryInput = isRequest( input ) ? input.clone() : input;
+        const response = await baseFetch( input, withBearerToken( input, init, accessToken ) );
+        if ( response.status !== HTTP_UNAUTHORIZED )
+        {
+            return response;
+        }
+
+        const renewedToken = await recoverAccessToken( accessToken );
+        if ( !renewedToken )
+        {
+            signInRequired( 'access token rejected by resource server' );
+            return response;
+        }
+
+        if ( !isReplayableBody( init.body ) )
+        {
+            logger.debug( 'Authorized fetch: renewed after 401, the request body cannot be sent again' );
+            return response;
+        }
+
+        logger.debug( 'Authorized fetch: retrying after 401 with renewed token' );
+        return await baseFetch( retryInput, withBearerToken( retryInput, init, renewedToken ) );
+    };
+};
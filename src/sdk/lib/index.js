@@ -1,3 +1,15 @@
 export { default as TokenManager } from './TokenManager';
+export { EVENT_SIGN_IN_REQUIRED, EVENT_TOKEN_RENEWED, EVENT_TOKEN_RENEW_ERROR } from './TokenManager';
+export {
+    GRANT_AUTHORIZATION_CODE,
+    GRANT_REFRESH_TOKEN,
+    TOKEN_EXCHANGE_OCID,
+    TOKEN_EXCHANGE_STANDARD,
+} from './tokenExchange';
 export { default as TransactionManager } from './TransactionManager';
-export * from './StorageManager';
\ No newline at end of file
+export * from './StorageManager';
+export { STORAGE_KIND_TOKEN, STORAGE_KIND_TRANSACTION, registerStorageMigration } from './storageMigrations';
+export * from './MemoryStorageProvider';
+export * from './CookieStorageProvider';
+export * from './EncryptedStorageProvider';
+export * from './createAuthorizedFetch';
\ No newline at end of file
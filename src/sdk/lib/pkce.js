@@ -10,39 +10,64 @@
 /* eslint-disable complexity, max-statements */
 
 import { stringToBase64Url, webcrypto } from '../crypto';
+import { ConfigurationError, InvalidParamsError } from '../utils/errors';
 
+// RFC 7636 section 4.1: 43 to 128 characters of [A-Z] / [a-z] / [0-9] / "-" / "." / "_" / "~"
 export const MIN_VERIFIER_LENGTH = 43;
 export const MAX_VERIFIER_LENGTH = 128;
 export const DEFAULT_CODE_CHALLENGE_METHOD = 'S256';
 
-function dec2hex ( dec )
+// base64url of 32 to 96 random bytes gives 43 to 128 characters
+export const MIN_VERIFIER_BYTES = 32;
+export const MAX_VERIFIER_BYTES = 96;
+export const DEFAULT_VERIFIER_BYTES = 32;
+
+const VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]+$/;
+
+function validateVerifierBytes ( byteLength )
 {
-    return ( '0' + dec.toString( 16 ) ).substr( -2 );
+    if ( !Number.isInteger( byteLength ) || byteLength < MIN_VERIFIER_BYTES || byteLength > MAX_VERIFIER_BYTES )
+    {
+        throw new ConfigurationError(
+            `PKCE verifier byte length must be an integer between ${ MIN_VERIFIER_BYTES } and ${ MAX_VERIFIER_BYTES }`
+        );
+    }
+    return byteLength;
 }
 
-function getRandomString ( length )
+function isValidVerifier ( verifier )
 {
-    var a = new Uint8Array( Math.ceil( length / 2 ) );
-    webcrypto.getRandomValues( a );
-    var str = Array.from( a, dec2hex ).join( '' );
-
-    return str.slice( 0, length );
+    return typeof verifier === 'string'
+        && verifier.length >= MIN_VERIFIER_LENGTH
+        && verifier.length <= MAX_VERIFIER_LENGTH
+        && VERIFIER_PATTERN.test( verifier );
 }
 
-function generateVerifier ( prefix )
+// externally supplied verifiers are used as is, so they must already be RFC conformant
+function validateVerifier ( verifier )
 {
-    var verifier = prefix || '';
-    if ( verifier.length < MIN_VERIFIER_LENGTH )
+    if ( !isValidVerifier( verifier ) )
     {
-        verifier = verifier + getRandomString( MIN_VERIFIER_LENGTH - verifier.length );
+        throw new InvalidParamsError(
+            `PKCE code verifier must be ${ MIN_VERIFIER_LENGTH } to ${ MAX_VERIFIER_LENGTH } characters of A-Z a-z 0-9 - . _ ~`
+        );
     }
+    return verifier;
+}
+
+function generateVerifier ( byteLength = DEFAULT_VERIFIER_BYTES )
+{
+    var bytes = new Uint8Array( validateVerifierBytes( byteLength ) );
+    webcrypto.getRandomValues( bytes );
 
-    return encodeURIComponent( verifier ).slice( 0, MAX_VERIFIER_LENGTH );
+    return stringToBase64Url( String.fromCharCode.apply( null, bytes ) );
 }
 
-function computeChallenge ( str )
+// S256: BASE64URL(SHA256(ASCII(code_verifier))), checked against RFC 7636 appendix B in test/sdk/lib/pkce.test.js
+function computeChallenge ( verifier )
 {
-    var buffer = new TextEncoder().encode( str );
+    validateVerifier( verifier );
+    var buffer = new TextEncoder().encode( verifier );
 
     return webcrypto.subtle.digest( 'SHA-256', buffer ).then( function ( arrayBuffer )
     {
@@ -57,4 +82,7 @@ export default {
     DEFAULT_CODE_CHALLENGE_METHOD,
     generateVerifier,
     computeChallenge,
+    isValidVerifier,
+    validateVerifier,
+    validateVerifierBytes,
 };
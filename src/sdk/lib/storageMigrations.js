@@ -0,0 +1,113 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { logger } from '../utils/logger';
+import { ErrorCodes } from '../utils/errors';
+import { SCHEMA_VERSION_KEY } from './StorageManager';
+
+export const STORAGE_KIND_TOKEN = 'token';
+export const STORAGE_KIND_TRANSACTION = 'transaction';
+
+// data written before versioning is treated as version 0
+const UNVERSIONED = 0;
+
+// per storage kind: the version written by this SDK and the steps that upgrade
+// a blob from version N to N + 1
+const registry = {
+    [ STORAGE_KIND_TOKEN ]: {
+        currentVersion: 1,
+        migrations: {
+            // 0 -> 1: same shape, only the version marker is new
+            0: data => data,
+        },
+    },
+    [ STORAGE_KIND_TRANSACTION ]: {
+        currentVersion: 1,
+        migrations: {
+            0: data => data,
+        },
+    },
+};
+
+export const getSchemaVersion = ( kind ) => registry[ kind ].currentVersion;
+
+// add the step upgrading `kind` blobs from `fromVersion`, bumping the current version when needed
+export const registerStorageMigration = ( kind, fromVersion, migrate ) =>
+{
+    const entry = registry[ kind ];
+    entry.migrations[ fromVersion ] = migrate;
+    entry.currentVersion = Math.max( entry.currentVersion, fromVersion + 1 );
+};
+
+// Brings the blob behind `storageManager` up to the current schema version.
+// Anything that cannot be migrated (unknown or newer version, failing step, corrupted blob)
+// is cleared so the user lands in a clean signed out state. Resolves to false in that case.
+// A read that fails for another reason, e.g. a key source that is locked, is thrown and the blob kept.
+export const migrateStorageSchema = async ( storageManager, kind ) =>
+{
+    const { currentVersion, migrations } = registry[ kind ];
+    const storageObject = storageManager.getStorageObject();
+
+    const discard = async ( reason ) =>
+    {
+        logger.warn( `Storage migration: discarding ${ kind } storage,`, reason );
+        await storageObject.clearStorage();
+        return false;
+    };
+
+    let data;
+    try
+    {
+        data = await storageObject.getStorage();
+    } catch ( e )
+    {
+        if ( e.code !== ErrorCodes.STORAGE_CORRUPTED )
+        {
+            throw e;
+        }
+        return await discard( 'corrupted' );
+    }
+    if ( Object.keys( data ).length === 0 )
+    {
+        return true;
+    }
+
+    let version = data[ SCHEMA_VERSION_KEY ] ?? UNVERSIONED;
+    if ( version === currentVersion )
+    {
+        return true;
+    }
+    if ( typeof version !== 'number' || version > currentVersion )
+    {
+        return await discard( `unsupported version ${ version }` );
+    }
+
+    try
+    {
+        while ( version < currentVersion )
+        {
+            const migrate = migrations[ version ];
+            if ( !migrate )
+            {
+                return await discard( `no migration from version ${ version }` );
+            }
+            data = await migrate( Object.assign( {}, data ) );
+            version++;
+        }
+    } catch ( e )
+    {
+        return await discard( e );
+    }
+
+    delete data[ SCHEMA_VERSION_KEY ];
+    // stamped with the current version on write
+    await storageObject.setStorage( data );
+    logger.debug( `Storage migration: ${ kind } storage migrated to version ${ currentVersion }` );
+    return true;
+};
@@ -0,0 +1,152 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import {
+    ConfigurationError,
+    NetworkError,
+    SandboxWalletError,
+    TokenExchangeError,
+    TokenRenewalError,
+} from '../utils/errors';
+
+// the OCID token endpoint takes a JSON { accessCode, codeVerifier } body
+export const TOKEN_EXCHANGE_OCID = 'ocid';
+// RFC 6749 4.1.3 form encoded authorization_code grant with the RFC 7636 code_verifier
+export const TOKEN_EXCHANGE_STANDARD = 'standard';
+
+// POST to the token endpoint, network failures and non JSON replies become typed errors
+export const postTokenRequest = async ( url, contentType, body ) =>
+{
+    let response;
+    try
+    {
+        response = await fetch( url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': contentType,
+            },
+            body,
+        } );
+    } catch ( error )
+    {
+        throw new NetworkError( 'Unable to reach ' + url, { cause: error } );
+    }
+
+    try
+    {
+        return { response, responseData: await response.json() };
+    } catch ( error )
+    {
+        throw new TokenExchangeError( 'Invalid response from ' + url, {
+            cause: error,
+            status: response.status,
+        } );
+    }
+};
+
+// the grants a strategy is called for, as `grantType` of its request
+export const GRANT_AUTHORIZATION_CODE = 'authorization_code';
+export const GRANT_REFRESH_TOKEN = 'refresh_token';
+
+const assertOk = ( grantType, response, responseData ) =>
+{
+    if ( !response.ok )
+    {
+        const ErrorClass = grantType === GRANT_REFRESH_TOKEN ? TokenRenewalError : TokenExchangeError;
+        const action = grantType === GRANT_REFRESH_TOKEN ? 'renew' : 'exchange';
+        throw new ErrorClass( `Fail to ${ action } token: ` + JSON.stringify( responseData ), {
+            status: response.status,
+            body: responseData,
+        } );
+    }
+    return responseData;
+};
+
+const postJsonGrant = async ( grantType, tokenEndPoint, body ) =>
+{
+    const { response, responseData } = await postTokenRequest( tokenEndPoint, 'application/json', JSON.stringify( body ) );
+
+    // Handle sandbox verification error specifically
+    if ( grantType === GRANT_AUTHORIZATION_CODE && responseData.error
+        && responseData.error.subType === 'SANDBOX_WALLET_ERROR' )
+    {
+        throw new SandboxWalletError( JSON.stringify( responseData.error ), {
+            status: response.status,
+            body: responseData,
+        } );
+    }
+    return assertOk( grantType, response, responseData );
+};
+
+const ocidExchange = ( { grantType, tokenEndPoint, clientId, code, codeVerifier, refreshToken } ) =>
+{
+    if ( grantType === GRANT_REFRESH_TOKEN )
+    {
+        return postJsonGrant( grantType, tokenEndPoint, { refreshToken, clientId } );
+    }
+    return postJsonGrant( grantType, tokenEndPoint, { accessCode: code, codeVerifier } );
+};
+
+const standardExchange = async ( { grantType, tokenEndPoint, clientId, redirectUri, code, codeVerifier, refreshToken } ) =>
+{
+    const params = grantType === GRANT_REFRESH_TOKEN
+        ? { grant_type: grantType, refresh_token: refreshToken, client_id: clientId }
+        : { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier };
+    const { response, responseData } = await postTokenRequest(
+        tokenEndPoint,
+        'application/x-www-form-urlencoded',
+        new URLSearchParams( params ).toString()
+    );
+    return assertOk( grantType, response, responseData );
+};
+
+// a backend that holds the client credentials and talks to the token server itself
+// (see example-backend-proxy), it answers both grants with a token response
+export const proxyTokenExchange = ( { grantType, tokenEndPoint, clientId, redirectUri, code, codeVerifier, refreshToken } ) =>
+{
+    if ( grantType === GRANT_REFRESH_TOKEN )
+    {
+        return postJsonGrant( grantType, tokenEndPoint, { refreshToken, clientId } );
+    }
+    return postJsonGrant( grantType, tokenEndPoint, { code, codeVerifier, redirectUri, clientId } );
+};
+
+// routes of a token proxy mounted at `baseUrl`
+export const getTokenProxyEndpoints = ( baseUrl ) =>
+{
+    const base = baseUrl.replace( /\/+$/, '' );
+    return {
+        tokenEndPoint: `${ base }/token`,
+        refreshTokenEndPoint: `${ base }/refresh`,
+        revokeEndPoint: `${ base }/revoke`,
+    };
+};
+
+const TOKEN_EXCHANGE_STRATEGIES = {
+    [ TOKEN_EXCHANGE_OCID ]: ocidExchange,
+    [ TOKEN_EXCHANGE_STANDARD ]: standardExchange,
+};
+
+// `tokenExchange` is one of the TOKEN_EXCHANGE_* names or a function called for both grants:
+// { grantType: 'authorization_code', tokenEndPoint, clientId, redirectUri, code, codeVerifier } on login and
+// { grantType: 'refresh_token', tokenEndPoint, clientId, refreshToken } on renewal (tokenEndPoint is then
+// the refresh endpoint). Every strategy resolves to the raw token response, which is then verified
+// and stored the same way, and rejects to fail the login or renewal
+export const getTokenExchangeStrategy = ( tokenExchange = TOKEN_EXCHANGE_OCID ) =>
+{
+    if ( typeof tokenExchange === 'function' )
+    {
+        return tokenExchange;
+    }
+    if ( !Object.prototype.hasOwnProperty.call( TOKEN_EXCHANGE_STRATEGIES, tokenExchange ) )
+    {
+        throw new ConfigurationError( 'Unknown tokenExchange: ' + tokenExchange );
+    }
+    return TOKEN_EXCHANGE_STRATEGIES[ tokenExchange ];
+};
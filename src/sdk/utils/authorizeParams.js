@@ -0,0 +1,121 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { InvalidParamsError } from './errors';
+
+// RFC 6749 section 3.3 scope-token
+const SCOPE_TOKEN_PATTERN = /^[\x21\x23-\x5B\x5D-\x7E]+$/;
+const PARAM_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const DISPLAY_VALUES = ['page', 'popup', 'touch', 'wap'];
+
+// set by the SDK itself (or by a dedicated option), never through extraParams
+const RESERVED_PARAMS = [
+    'client_id',
+    'redirect_uri',
+    'origin_url',
+    'response_type',
+    'scope',
+    'code_challenge',
+    'code_challenge_method',
+    'nonce',
+    'state',
+    'ref',
+    'emailPlaceholder',
+    'prompt',
+    'login_hint',
+    'ui_locales',
+    'max_age',
+    'acr_values',
+    'display',
+];
+
+// accept 'a b' or ['a', 'b'] for space separated lists
+const toSpaceList = (value, name) => {
+    const list = Array.isArray(value) ? value : String(value).split(' ');
+    const items = list.filter(item => item !== '');
+    if (items.some(item => typeof item !== 'string' || /\s/.test(item))) {
+        throw new InvalidParamsError(`${name} must be a string or an array of strings without spaces`);
+    }
+    return items;
+};
+
+const optionalString = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (typeof value !== 'string' || value === '') {
+        throw new InvalidParamsError(`${name} must be a non empty string`);
+    }
+    return value;
+};
+
+const optionalSpaceList = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const items = toSpaceList(value, name);
+    return items.length > 0 ? items.join(' ') : undefined;
+};
+
+/**
+ * Validate the optional authorize request parameters accepted by signInWithRedirect
+ * @param {Object} params - { scopes, loginHint, uiLocales, maxAge, acrValues, display, extraParams }
+ * @returns {Object} Normalized values, lists joined with spaces and extraParams values as strings
+ */
+export const normalizeAuthorizeParams = (params = {}) => {
+    const { scopes, loginHint, uiLocales, maxAge, acrValues, display, extraParams } = params;
+
+    const scopeList = scopes === undefined ? [] : toSpaceList(scopes, 'scopes');
+    const invalidScope = scopeList.find(scope => !SCOPE_TOKEN_PATTERN.test(scope));
+    if (invalidScope !== undefined) {
+        throw new InvalidParamsError(`Invalid scope: ${invalidScope}`);
+    }
+
+    if (maxAge !== undefined && (!Number.isInteger(maxAge) || maxAge < 0)) {
+        throw new InvalidParamsError('maxAge must be a non negative integer number of seconds');
+    }
+
+    if (display !== undefined && !DISPLAY_VALUES.includes(display)) {
+        throw new InvalidParamsError(`display must be one of ${DISPLAY_VALUES.join(', ')}`);
+    }
+
+    const normalizedExtraParams = {};
+    if (extraParams !== undefined) {
+        if (extraParams === null || typeof extraParams !== 'object' || Array.isArray(extraParams)) {
+            throw new InvalidParamsError('extraParams must be an object');
+        }
+        Object.keys(extraParams).forEach(name => {
+            const value = extraParams[name];
+            if (!PARAM_NAME_PATTERN.test(name)) {
+                throw new InvalidParamsError(`Invalid extraParams name: ${name}`);
+            }
+            if (RESERVED_PARAMS.includes(name)) {
+                throw new InvalidParamsError(`extraParams cannot override ${name}`);
+            }
+            if (value === undefined) {
+                return;
+            }
+            if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                throw new InvalidParamsError(`extraParams.${name} must be a string, number or boolean`);
+            }
+            normalizedExtraParams[name] = String(value);
+        });
+    }
+
+    return {
+        scopes: scopeList,
+        loginHint: optionalString(loginHint, 'loginHint'),
+        uiLocales: optionalSpaceList(uiLocales, 'uiLocales'),
+        maxAge,
+        acrValues: optionalSpaceList(acrValues, 'acrValues'),
+        display,
+        extraParams: normalizedExtraParams,
+    };
+};
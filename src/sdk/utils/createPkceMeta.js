@@ -12,14 +12,18 @@ import { InvalidParamsError } from './errors';
 export const createPkceMeta = (signinParams) => {
     // prepare the meta that needs to be persisted in storage
     // extracted from the signinParams
-    const { codeChallenge, codeVerifier, codeChallengeMethod } = signinParams;
-    if (!codeChallenge || !codeVerifier || !codeChallengeMethod) {
-        throw new InvalidParamsError('codeChallenge, codeVerifier & codeChallengeMethod are required');
+    const { codeChallenge, codeVerifier, codeChallengeMethod, csrfToken, nonce, maxAge } = signinParams;
+    if (!codeChallenge || !codeVerifier || !codeChallengeMethod || !csrfToken || !nonce) {
+        throw new InvalidParamsError('codeChallenge, codeVerifier, codeChallengeMethod, csrfToken & nonce are required');
     }
 
     return {
         codeChallenge,
         codeVerifier,
         codeChallengeMethod,
+        csrfToken,
+        nonce,
+        // a requested max_age must be enforced on the id_token auth_time
+        ...(maxAge !== undefined && { maxAge }),
     };
 };
@@ -7,6 +7,171 @@
 * 
 * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
-export class InternalError extends Error {}
-export class InvalidParamsError extends InternalError {}
-export class AuthError extends Error {}
+
+// stable, machine readable codes carried by every SDK error as `error.code`
+export const ErrorCodes = {
+    INTERNAL: 'internal_error',
+    INVALID_PARAMS: 'invalid_params',
+    CONFIGURATION: 'configuration_error',
+    STORAGE: 'storage_error',
+    STORAGE_CORRUPTED: 'storage_corrupted',
+    AUTH: 'auth_error',
+    AUTH_FAILED: 'auth_failed',
+    AUTH_CANCELLED: 'auth_cancelled',
+    SIGN_IN_REQUIRED: 'sign_in_required',
+    TRANSACTION_NOT_FOUND: 'transaction_not_found',
+    STATE_MISMATCH: 'state_mismatch',
+    NETWORK: 'network_error',
+    TOKEN_EXCHANGE: 'token_exchange_failed',
+    SANDBOX_WALLET: 'sandbox_wallet_error',
+    TOKEN_RENEWAL: 'token_renewal_failed',
+    TOKEN_REVOCATION: 'token_revocation_failed',
+    JWKS: 'jwks_unavailable',
+    DISCOVERY: 'discovery_failed',
+    ISSUER_MISMATCH: 'issuer_mismatch',
+    USERINFO: 'userinfo_failed',
+    USERINFO_SUBJECT_MISMATCH: 'userinfo_subject_mismatch',
+    TOKEN_VERIFICATION: 'token_verification_failed',
+    MALFORMED_TOKEN: 'malformed_token',
+    UNSUPPORTED_ALGORITHM: 'unsupported_algorithm',
+    ALGORITHM_NOT_ALLOWED: 'algorithm_not_allowed',
+    KEY_ALGORITHM_MISMATCH: 'key_algorithm_mismatch',
+    KEY_NOT_FOUND: 'key_not_found',
+    UNSUPPORTED_KEY: 'unsupported_key',
+    INVALID_SIGNATURE: 'invalid_signature',
+    INVALID_CLAIMS: 'invalid_claims',
+    MISSING_CLAIM: 'missing_claim',
+    INVALID_CLAIM_TYPE: 'invalid_claim_type',
+    TOKEN_EXPIRED: 'token_expired',
+    TOKEN_NOT_YET_VALID: 'token_not_yet_valid',
+    TOKEN_ISSUED_IN_FUTURE: 'token_issued_in_future',
+    INVALID_ISSUER: 'invalid_issuer',
+    INVALID_AUDIENCE: 'invalid_audience',
+    INVALID_NONCE: 'invalid_nonce',
+    MAX_AGE_EXCEEDED: 'max_age_exceeded',
+    CLAIM_REJECTED: 'claim_rejected',
+    INVALID_AT_HASH: 'invalid_at_hash',
+    OAUTH: 'oauth_error',
+};
+
+// options: code (overrides the class default), cause, status (HTTP) and body (server error payload)
+export class OCError extends Error {
+    static code = ErrorCodes.INTERNAL;
+
+    code;
+    cause;
+    status;
+    body;
+
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || this.constructor.code;
+        this.cause = options.cause;
+        this.status = options.status;
+        this.body = options.body;
+    }
+}
+
+export class InternalError extends OCError {}
+export class InvalidParamsError extends InternalError {
+    static code = ErrorCodes.INVALID_PARAMS;
+}
+export class ConfigurationError extends InvalidParamsError {
+    static code = ErrorCodes.CONFIGURATION;
+}
+export class StorageError extends InternalError {
+    static code = ErrorCodes.STORAGE;
+}
+
+export class AuthError extends OCError {
+    static code = ErrorCodes.AUTH;
+}
+export class AuthCancelledError extends AuthError {
+    static code = ErrorCodes.AUTH_CANCELLED;
+}
+export class SignInRequiredError extends AuthError {
+    static code = ErrorCodes.SIGN_IN_REQUIRED;
+}
+export class StateMismatchError extends AuthError {
+    static code = ErrorCodes.STATE_MISMATCH;
+}
+export class NetworkError extends AuthError {
+    static code = ErrorCodes.NETWORK;
+}
+export class TokenExchangeError extends AuthError {
+    static code = ErrorCodes.TOKEN_EXCHANGE;
+}
+export class SandboxWalletError extends TokenExchangeError {
+    static code = ErrorCodes.SANDBOX_WALLET;
+}
+export class TokenRenewalError extends AuthError {
+    static code = ErrorCodes.TOKEN_RENEWAL;
+}
+export class JWKSError extends AuthError {
+    static code = ErrorCodes.JWKS;
+}
+export class DiscoveryError extends AuthError {
+    static code = ErrorCodes.DISCOVERY;
+}
+export class UserInfoError extends AuthError {
+    static code = ErrorCodes.USERINFO;
+}
+export class TokenVerificationError extends AuthError {
+    static code = ErrorCodes.TOKEN_VERIFICATION;
+}
+export class SignatureError extends TokenVerificationError {
+    static code = ErrorCodes.INVALID_SIGNATURE;
+}
+// `failures` lists every violated rule as { code, claim, message }, `code` is the first one
+export class ClaimsValidationError extends TokenVerificationError {
+    static code = ErrorCodes.INVALID_CLAIMS;
+
+    failures;
+
+    constructor(message, options = {}) {
+        super(message, options);
+        this.failures = options.failures || [];
+    }
+}
+
+// error returned by the login server on the redirect (RFC 6749 4.1.2.1, OIDC core 3.1.2.6),
+// `code` is the OAuth error value itself
+export class OAuthError extends AuthError {
+    static code = ErrorCodes.OAUTH;
+
+    error;
+    errorDescription;
+    errorUri;
+
+    constructor(error, errorDescription, errorUri) {
+        super(errorDescription ? `${error}: ${errorDescription}` : error, { code: error });
+        this.error = error;
+        this.errorDescription = errorDescription;
+        this.errorUri = errorUri;
+    }
+}
+export class AccessDeniedError extends OAuthError {}
+export class LoginRequiredError extends OAuthError {}
+export class ConsentRequiredError extends OAuthError {}
+export class InteractionRequiredError extends OAuthError {}
+
+const OAUTH_ERROR_CLASSES = {
+    access_denied: AccessDeniedError,
+    login_required: LoginRequiredError,
+    consent_required: ConsentRequiredError,
+    interaction_required: InteractionRequiredError,
+};
+
+export const createOAuthError = ({ error, error_description, error_uri }) => {
+    const ErrorClass = OAUTH_ERROR_CLASSES[error] || OAuthError;
+    return new ErrorClass(error, error_description, error_uri);
+};
+
+// rethrow SDK errors untouched, wrap anything else so callers always get a code
+export const toOCError = (error, ErrorClass, message, options = {}) => {
+    if (error instanceof OCError) {
+        return error;
+    }
+    return new ErrorClass(message, Object.assign({ cause: error }, options));
+};
@@ -0,0 +1,111 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { ConfigurationError } from './errors';
+
+// Process wide logger shared by every SDK instance, set up with configureLogger() or the
+// `logger` option of OCAuthLive / OCAuthSandbox, which is an alias of it.
+// Every line goes through redact() first so codes, verifiers and JWTs never reach the sink.
+
+export const LOG_LEVELS = {
+    silent: 0,
+    error: 1,
+    warn: 2,
+    info: 3,
+    debug: 4,
+};
+
+const DEFAULT_LEVEL = 'warn';
+const LOG_PREFIX = '[OCID SDK]';
+const REDACTED = '[REDACTED]';
+const MAX_REDACT_DEPTH = 5;
+
+const SENSITIVE_KEYS = new Set([
+    'code',
+    'accesscode',
+    'codeverifier',
+    'code_verifier',
+    'codechallenge',
+    'code_challenge',
+    'csrftoken',
+    'nonce',
+    'access_token',
+    'accesstoken',
+    'id_token',
+    'idtoken',
+    'refresh_token',
+    'refreshtoken',
+    'id_token_hint',
+    'login_hint',
+    'loginhint',
+    'token',
+    'client_secret',
+    'clientsecret',
+]);
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]*\.[A-Za-z0-9_-]*/g;
+const URL_PARAM_PATTERN = /([?&#](?:code|code_verifier|code_challenge|nonce|state|id_token|access_token|refresh_token|id_token_hint|login_hint)=)[^&#\s"]*/gi;
+
+const redactString = (str) => str.replace(JWT_PATTERN, REDACTED).replace(URL_PARAM_PATTERN, `$1${REDACTED}`);
+
+export const redact = (value, depth = 0) => {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value instanceof Error) {
+        return `${value.name}: ${redactString(value.message)}`;
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_REDACT_DEPTH) {
+        return '[Object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+        result[key] = SENSITIVE_KEYS.has(key.toLowerCase()) && value[key] ? REDACTED : redact(value[key], depth + 1);
+    });
+    return result;
+};
+
+let currentLevel = LOG_LEVELS[DEFAULT_LEVEL];
+// any console compatible object: { error, warn, info, debug }
+let currentSink = console;
+
+export const configureLogger = ({ level, sink } = {}) => {
+    if (level !== undefined) {
+        if (LOG_LEVELS[level] === undefined) {
+            throw new ConfigurationError(`Unknown log level: ${level}`);
+        }
+        currentLevel = LOG_LEVELS[level];
+    }
+    if (sink) {
+        currentSink = sink;
+    }
+};
+
+const write = (level) => (...args) => {
+    if (LOG_LEVELS[level] > currentLevel) {
+        return;
+    }
+    const method = currentSink[level] || currentSink.log;
+    if (method) {
+        method.call(currentSink, LOG_PREFIX, ...args.map(arg => redact(arg)));
+    }
+};
+
+export const logger = {
+    error: write('error'),
+    warn: write('warn'),
+    info: write('info'),
+    debug: write('debug'),
+};
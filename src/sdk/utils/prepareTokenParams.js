@@ -8,38 +8,52 @@
  * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 import PKCE from '../lib/pkce';
-import { InvalidParamsError } from './errors';
+import { normalizeAuthorizeParams } from './authorizeParams';
+import { ConfigurationError } from './errors';
+import { generateRandomToken } from './generateRandomToken';
+import { encodeStateParameter } from './stateParameter';
 
 export const prepareTokenParams = async params => {
     // prepare all the params needed for building the signin flow
-    // mandatory redirect_uri, for now, we only allow user to set redirect_uri and state
-    // again this is not a full on OIDC/OAuth flow allowing user to set all the options
-    // we prepare all the rest
-    const { clientId, redirectUri, state } = params;
+    // mandatory redirect_uri, callers may add scopes and the standard OIDC authorize
+    // parameters (see normalizeAuthorizeParams), we prepare all the rest
+    const { clientId, redirectUri, state, offlineAccess, codeVerifier: suppliedVerifier, pkceVerifierBytes } = params;
 
     if (!redirectUri) {
-        throw new InvalidParamsError(' No redirect uri params!');
+        throw new ConfigurationError(' No redirect uri params!');
     }
 
-    // must be pkce
-    const codeVerifier = PKCE.generateVerifier();
+    const { scopes, ...authorizeParams } = normalizeAuthorizeParams(params);
+    // offline_access asks the server for a refresh token
+    const baseScopes = offlineAccess ? ['openid', 'offline_access'] : ['openid'];
+    const scope = [...new Set([...baseScopes, ...scopes])].join(' ');
+
+    // must be pkce, a caller supplied verifier is validated against the RFC 7636 charset
+    const codeVerifier = suppliedVerifier !== undefined
+        ? PKCE.validateVerifier(suppliedVerifier)
+        : PKCE.generateVerifier(pkceVerifierBytes);
     const codeChallenge = await PKCE.computeChallenge(codeVerifier);
 
+    // anti-forgery token, always generated regardless of app supplied state
+    const csrfToken = generateRandomToken();
+    // binds the id_token to this authorize request
+    const nonce = generateRandomToken();
+
     // pack up the full set of token params needed
     const tokenParams = {
         clientId,
         redirectUri,
         codeVerifier,
         codeChallenge,
+        csrfToken,
+        nonce,
         codeChallengeMethod: PKCE.DEFAULT_CODE_CHALLENGE_METHOD,
-        scope: 'openid',
+        scope,
         responseType: 'code',
+        ...authorizeParams,
+        // undefined and null app state are dropped, other falsy states are honored
+        state: encodeStateParameter(csrfToken, state),
     };
 
-    // just filter out undefined and null, honor other falsy states
-    if (state !== undefined && state !== null) {
-        tokenParams.state = state;
-    }
-
     return tokenParams;
 };
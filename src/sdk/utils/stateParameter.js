@@ -0,0 +1,38 @@
+/*!
+* Copyright 2024-Present Animoca Brands Corporation Ltd. 
+* 
+* Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+* 
+* The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+* 
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { StateMismatchError } from './errors';
+
+// the state sent to the login server wraps the app supplied state around
+// an anti-forgery token that only this device knows
+export const encodeStateParameter = (csrfToken, appState) => {
+    const wrapped = { csrf: csrfToken };
+    if (appState !== undefined && appState !== null) {
+        wrapped.appState = appState;
+    }
+
+    return JSON.stringify(wrapped);
+};
+
+// returns the app state carried by `stateParam` once its anti-forgery token
+// has been matched against the one saved when the flow started
+export const decodeStateParameter = (stateParam, expectedCsrfToken) => {
+    let wrapped;
+    try {
+        wrapped = JSON.parse(stateParam);
+    } catch (e) {
+        wrapped = null;
+    }
+
+    if (!expectedCsrfToken || !wrapped || wrapped.csrf !== expectedCsrfToken) {
+        throw new StateMismatchError('state parameter does not match the pending login transaction');
+    }
+
+    return wrapped.appState;
+};
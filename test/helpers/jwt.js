@@ -0,0 +1,20 @@
+import crypto from 'crypto';
+
+const base64url = ( value ) => Buffer.from( JSON.stringify( value ) ).toString( 'base64url' );
+
+// an RS256 signer and the pinned JWKS that verifies its tokens
+export const createSigner = ( kid = 'test-key' ) =>
+{
+    const { privateKey, publicKey } = crypto.generateKeyPairSync( 'rsa', { modulusLength: 2048 } );
+    const jwk = Object.assign( publicKey.export( { format: 'jwk' } ), { kid, alg: 'RS256', use: 'sig' } );
+
+    const sign = ( payload ) =>
+    {
+        const input = `${ base64url( { alg: 'RS256', typ: 'JWT', kid } ) }.${ base64url( payload ) }`;
+        return `${ input }.${ crypto.sign( 'sha256', Buffer.from( input ), privateKey ).toString( 'base64url' ) }`;
+    };
+
+    return { sign, jwks: { keys: [ jwk ] } };
+};
+
+export const nowSeconds = () => Math.floor( Date.now() / 1000 );
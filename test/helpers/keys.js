@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+// a node generated key pair with its public JWK and SPKI (DER) encodings
+export const createKeyPair = ( type, options ) =>
+{
+    const { privateKey, publicKey } = crypto.generateKeyPairSync( type, options );
+    return {
+        privateKey,
+        jwk: publicKey.export( { format: 'jwk' } ),
+        spki: new Uint8Array( publicKey.export( { format: 'der', type: 'spki' } ) ),
+    };
+};
+
+export const fromBase64Url = ( value ) => new Uint8Array( Buffer.from( value, 'base64url' ) );
+
+// `hash` is a node digest name or null for Ed25519, `options` the node padding / encoding options
+export const signBytes = ( hash, privateKey, data, options = {} ) =>
+    new Uint8Array( crypto.sign( hash, Buffer.from( data ), Object.assign( { key: privateKey }, options ) ) );
+
+export const pssOptions = ( saltLength ) => ( { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength } );
+
+export const P1363 = { dsaEncoding: 'ieee-p1363' };
+
+// a copy with one bit of the last byte flipped
+export const tamper = ( bytes ) =>
+{
+    const copy = Uint8Array.from( bytes );
+    copy[ copy.length - 1 ] ^= 1;
+    return copy;
+};
@@ -0,0 +1,2 @@
+// node provides crypto.getRandomValues, the react native polyfill is not needed under jest
+module.exports = {};
@@ -0,0 +1,159 @@
+import { OCAuthSandbox } from '../../src/sdk/auth';
+import { MemoryStorageProvider } from '../../src/sdk/lib/MemoryStorageProvider';
+import { EVENT_TOKEN_RENEWED } from '../../src/sdk/lib/TokenManager';
+import { encodeStateParameter } from '../../src/sdk/utils/stateParameter';
+import { AccessDeniedError, StateMismatchError, StorageError } from '../../src/sdk/utils/errors';
+import { configureLogger, logger } from '../../src/sdk/utils/logger';
+
+jest.mock( 'expo-web-browser', () => ( { openAuthSessionAsync: jest.fn() } ) );
+
+const PENDING = { codeChallenge: 'challenge', codeVerifier: 'verifier', csrfToken: 'csrf', nonce: 'nonce' };
+
+const createAuth = () => new OCAuthSandbox( {
+    redirectUri: 'app://cb',
+    storage: 'memory',
+} );
+
+describe( 'handleLoginRedirect error redirects', () =>
+{
+    it.each( [
+        [ 'without state', 'app://cb?error=access_denied' ],
+        [ 'with a foreign state', 'app://cb?error=access_denied&state=' + encodeURIComponent( encodeStateParameter( 'other' ) ) ],
+    ] )( 'keeps the pending transaction %s', async ( _, url ) =>
+    {
+        const ocAuth = createAuth();
+        await ocAuth.transactionManager.save( PENDING );
+
+        await expect( ocAuth.handleLoginRedirect( url ) ).rejects.toThrow( StateMismatchError );
+        expect( await ocAuth.transactionManager.getTransactionMeta() ).toMatchObject( PENDING );
+    } );
+
+    it( 'clears the transaction for an error carrying the pending state', async () =>
+    {
+        const ocAuth = createAuth();
+        await ocAuth.transactionManager.save( PENDING );
+        const state = encodeURIComponent( encodeStateParameter( 'csrf' ) );
+
+        await expect( ocAuth.handleLoginRedirect( `app://cb?error=access_denied&state=${ state }` ) )
+            .rejects.toThrow( AccessDeniedError );
+        expect( await ocAuth.transactionManager.getTransactionMeta() ).toEqual( {} );
+    } );
+} );
+
+describe( 'silent renewal failures', () =>
+{
+    const flush = () => new Promise( resolve => setTimeout( resolve, 0 ) );
+
+    const signedIn = async () =>
+    {
+        const ocAuth = createAuth();
+        await ocAuth.tokenManager.storageManager.getStorageObject().setStorage( {
+            access_token: 'access',
+            id_token: 'id',
+            refresh_token: 'refresh',
+            expired: Math.floor( Date.now() / 1000 ) + 600,
+        } );
+        ocAuth.authInfoManager.setAuthState( 'access', 'id', 'alice.edu', '0x0', true );
+        return ocAuth;
+    };
+
+    afterEach( () =>
+    {
+        delete global.fetch;
+    } );
+
+    it( 'signs out when the token server refuses the refresh token', async () =>
+    {
+        const ocAuth = await signedIn();
+        global.fetch = jest.fn( async () => ( { ok: false, status: 400, json: async () => ( { error: 'invalid_grant' } ) } ) );
+
+        await expect( ocAuth.renewTokens() ).rejects.toThrow();
+        await flush();
+
+        expect( ocAuth.getAuthState().isAuthenticated ).toBe( false );
+        expect( await ocAuth.isAuthenticated() ).toBe( false );
+        expect( await ocAuth.tokenManager.getRefreshToken() ).toBeFalsy();
+    } );
+
+    it( 'keeps the session on a network failure before expiry', async () =>
+    {
+        const ocAuth = await signedIn();
+        global.fetch = jest.fn( async () =>
+        {
+            throw new TypeError( 'Network request failed' );
+        } );
+
+        await expect( ocAuth.renewTokens() ).rejects.toThrow();
+        await flush();
+
+        expect( ocAuth.getAuthState().isAuthenticated ).toBe( true );
+        expect( await ocAuth.tokenManager.getRefreshToken() ).toBe( 'refresh' );
+    } );
+
+    it( 'logs instead of rejecting when the auth state sync fails', async () =>
+    {
+        const ocAuth = await signedIn();
+        const unhandled = jest.fn();
+        process.on( 'unhandledRejection', unhandled );
+        jest.spyOn( ocAuth, 'syncAuthInfo' ).mockRejectedValue( new Error( 'storage unavailable' ) );
+
+        ocAuth.tokenManager._emitter.emit( EVENT_TOKEN_RENEWED, {} );
+        await flush();
+
+        process.off( 'unhandledRejection', unhandled );
+        expect( unhandled ).not.toHaveBeenCalled();
+    } );
+} );
+
+describe( 'logger configuration', () =>
+{
+    afterEach( () => configureLogger( { level: 'silent', sink: console } ) );
+
+    it( 'is not changed by constructing another instance', () =>
+    {
+        const sink = { debug: jest.fn() };
+        configureLogger( { level: 'debug', sink } );
+
+        createAuth();
+        logger.debug( 'still configured' );
+
+        expect( sink.debug ).toHaveBeenCalledWith( '[OCID SDK]', 'still configured' );
+    } );
+
+    it( 'applies the logger option as configureLogger', () =>
+    {
+        const sink = { debug: jest.fn() };
+
+        new OCAuthSandbox( { redirectUri: 'app://cb', storage: 'memory', logger: { level: 'debug', sink } } );
+        logger.debug( 'configured by the option' );
+
+        expect( sink.debug ).toHaveBeenCalledWith( '[OCID SDK]', 'configured by the option' );
+    } );
+} );
+
+describe( 'initialize with encrypted storage', () =>
+{
+    it( 'keeps the stored session when the key source is locked', async () =>
+    {
+        const storage = new MemoryStorageProvider();
+        const key = new Uint8Array( 32 ).fill( 7 );
+        const unlocked = new OCAuthSandbox( { redirectUri: 'app://cb', storage, storageEncryption: { keySource: () => key } } );
+        await unlocked.tokenManager.storageManager.getStorageObject().setStorage( { access_token: 'access', refresh_token: 'refresh' } );
+        const storageName = unlocked.tokenManager.storageManager.storageName;
+        const blob = storage.getItem( storageName );
+
+        const locked = new OCAuthSandbox( {
+            redirectUri: 'app://cb',
+            storage,
+            storageEncryption: {
+                keySource: async () =>
+                {
+                    throw new Error( 'keychain locked' );
+                },
+            },
+        } );
+
+        await expect( locked.initialize() ).rejects.toThrow( StorageError );
+        expect( storage.getItem( storageName ) ).toBe( blob );
+    } );
+} );
@@ -0,0 +1,85 @@
+import {
+    DEFAULT_JWS_ALGORITHMS,
+    assertKeyMatchesAlgorithm,
+    getJWSAlgorithm,
+    registerJWSAlgorithm,
+} from '../../../src/sdk/crypto/jwsAlgorithms';
+import { ConfigurationError, ErrorCodes, TokenVerificationError } from '../../../src/sdk/utils/errors';
+import { createKeyPair } from '../../helpers/keys';
+
+const rsa = createKeyPair( 'rsa', { modulusLength: 2048 } );
+const p256 = createKeyPair( 'ec', { namedCurve: 'P-256' } );
+const p384 = createKeyPair( 'ec', { namedCurve: 'P-384' } );
+const ed25519 = createKeyPair( 'ed25519' );
+
+describe( 'alg none', () =>
+{
+    it.each( [ 'none', 'None', 'NONE' ] )( 'is never accepted as %s, even when allowed', ( alg ) =>
+    {
+        expect( () => getJWSAlgorithm( alg, [ alg ] ) ).toThrow( expect.objectContaining( {
+            code: ErrorCodes.ALGORITHM_NOT_ALLOWED,
+        } ) );
+    } );
+
+    it( 'cannot be registered', () =>
+    {
+        expect( () => registerJWSAlgorithm( 'none', { kty: 'oct', verify: () => true } ) ).toThrow( ConfigurationError );
+    } );
+} );
+
+describe( 'assertKeyMatchesAlgorithm', () =>
+{
+    const expectMismatch = ( alg, jwk ) =>
+    {
+        let error;
+        try
+        {
+            assertKeyMatchesAlgorithm( getJWSAlgorithm( alg ), jwk );
+        } catch ( e )
+        {
+            error = e;
+        }
+        expect( error ).toBeInstanceOf( TokenVerificationError );
+        expect( error.code ).toBe( ErrorCodes.KEY_ALGORITHM_MISMATCH );
+    };
+
+    it( 'rejects an RSA key for ES256', () =>
+    {
+        expectMismatch( 'ES256', rsa.jwk );
+    } );
+
+    it( 'rejects an EC key for RS256', () =>
+    {
+        expectMismatch( 'RS256', p256.jwk );
+    } );
+
+    it.each( [
+        [ 'ES256', 'P-384', p384 ],
+        [ 'ES384', 'P-256', p256 ],
+    ] )( 'rejects %s with a %s key', ( alg, _, pair ) =>
+    {
+        expectMismatch( alg, pair.jwk );
+    } );
+
+    it( 'rejects a key published for another alg', () =>
+    {
+        expectMismatch( 'RS256', Object.assign( {}, rsa.jwk, { alg: 'PS256' } ) );
+    } );
+
+    it( 'rejects an encryption key', () =>
+    {
+        expectMismatch( 'ES256', Object.assign( {}, p256.jwk, { use: 'enc' } ) );
+    } );
+
+    it.each( [
+        [ 'RS256', rsa ],
+        [ 'PS256', rsa ],
+        [ 'ES256', p256 ],
+        [ 'ES384', p384 ],
+        [ 'EdDSA', ed25519 ],
+    ] )( 'accepts a matching key for %s', ( alg, pair ) =>
+    {
+        expect( DEFAULT_JWS_ALGORITHMS ).toContain( alg );
+        expect( () => assertKeyMatchesAlgorithm( getJWSAlgorithm( alg ), pair.jwk ) ).not.toThrow();
+    } );
+} );
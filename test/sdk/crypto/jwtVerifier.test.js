@@ -0,0 +1,41 @@
+import { createClaimsPolicy, verifyJWT } from '../../../src/sdk/crypto/jwtVerifier';
+import { JWKS_POLICY_PINNED_ONLY } from '../../../src/sdk/crypto/jwks';
+import { ErrorCodes } from '../../../src/sdk/utils/errors';
+import { createSigner, nowSeconds } from '../../helpers/jwt';
+
+const { sign, jwks } = createSigner();
+
+const verify = ( payload, policy ) => verifyJWT( sign( payload ), 'https://id.example.com/jwks', {
+    pinnedJwks: jwks,
+    jwksPolicy: JWKS_POLICY_PINNED_ONLY,
+    claimsPolicy: createClaimsPolicy( policy, { issuers: [ 'OpenCampus' ], audiences: [ 'client' ] } ),
+} );
+
+const CLAIMS = { iss: 'OpenCampus', aud: 'client', sub: 'user', exp: nowSeconds() + 600, edu_username: 'alice.edu' };
+
+describe( 'verifyJWT custom validators', () =>
+{
+    it( 'accepts a token when the validator returns true', async () =>
+    {
+        const result = await verify( CLAIMS, { validators: { edu_username: ( value ) => value === 'alice.edu' } } );
+
+        expect( result.valid ).toBe( true );
+    } );
+
+    it.each( [
+        [ 'returns false', () => false ],
+        [ 'returns a message', () => 'not allowed' ],
+        [ 'returns nothing', () => undefined ],
+        [ 'returns a truthy value other than true', () => 1 ],
+        [ 'throws', () => { throw new Error( 'boom' ); } ],
+    ] )( 'rejects a token when the validator %s', async ( _, validator ) =>
+    {
+        const result = await verify( CLAIMS, { validators: { edu_username: validator } } );
+
+        expect( result.valid ).toBe( false );
+        expect( result.code ).toBe( ErrorCodes.CLAIM_REJECTED );
+        expect( result.cause.failures ).toEqual( [
+            expect.objectContaining( { code: ErrorCodes.CLAIM_REJECTED, claim: 'edu_username' } ),
+        ] );
+    } );
+} );
@@ -0,0 +1,136 @@
+import {
+    verifyEcdsa,
+    verifyEd25519,
+    verifyRsaPkcs1,
+    verifyRsaPss,
+} from '../../../src/sdk/crypto/primitives';
+import { P1363, createKeyPair, fromBase64Url, pssOptions, signBytes, tamper } from '../../helpers/keys';
+
+const DATA = new Uint8Array( Buffer.from( 'header.payload' ) );
+
+const rsa = createKeyPair( 'rsa', { modulusLength: 2048 } );
+const otherRsa = createKeyPair( 'rsa', { modulusLength: 2048 } );
+const rsa3071 = createKeyPair( 'rsa', { modulusLength: 3071 } );
+const p256 = createKeyPair( 'ec', { namedCurve: 'P-256' } );
+const otherP256 = createKeyPair( 'ec', { namedCurve: 'P-256' } );
+const p384 = createKeyPair( 'ec', { namedCurve: 'P-384' } );
+const otherP384 = createKeyPair( 'ec', { namedCurve: 'P-384' } );
+const ed25519 = createKeyPair( 'ed25519' );
+const otherEd25519 = createKeyPair( 'ed25519' );
+
+const rsaPublic = ( { jwk } ) => ( { n: fromBase64Url( jwk.n ), e: fromBase64Url( jwk.e ) } );
+const ecPublic = ( { jwk } ) => ( { x: fromBase64Url( jwk.x ), y: fromBase64Url( jwk.y ) } );
+
+// name, key pair, another key pair of the same kind, sign( pair, data ), verify( pair, data, signature )
+const SCHEMES = [
+    [
+        'RSASSA-PKCS1-v1_5 SHA-256', rsa, otherRsa,
+        ( pair, data ) => signBytes( 'sha256', pair.privateKey, data ),
+        ( pair, data, signature ) => verifyRsaPkcs1( 'SHA-256', rsaPublic( pair ), data, signature ),
+    ],
+    [
+        'RSASSA-PKCS1-v1_5 SHA-512', rsa, otherRsa,
+        ( pair, data ) => signBytes( 'sha512', pair.privateKey, data ),
+        ( pair, data, signature ) => verifyRsaPkcs1( 'SHA-512', rsaPublic( pair ), data, signature ),
+    ],
+    [
+        'RSA-PSS SHA-256', rsa, otherRsa,
+        ( pair, data ) => signBytes( 'sha256', pair.privateKey, data, pssOptions( 32 ) ),
+        ( pair, data, signature ) => verifyRsaPss( 'SHA-256', rsaPublic( pair ), data, signature, 32 ),
+    ],
+    [
+        'RSA-PSS SHA-256 with a 3071 bit key', rsa3071, rsa,
+        ( pair, data ) => signBytes( 'sha256', pair.privateKey, data, pssOptions( 32 ) ),
+        ( pair, data, signature ) => verifyRsaPss( 'SHA-256', rsaPublic( pair ), data, signature, 32 ),
+    ],
+    [
+        'RSA-PSS SHA-384 with a 3071 bit key', rsa3071, rsa,
+        ( pair, data ) => signBytes( 'sha384', pair.privateKey, data, pssOptions( 48 ) ),
+        ( pair, data, signature ) => verifyRsaPss( 'SHA-384', rsaPublic( pair ), data, signature, 48 ),
+    ],
+    [
+        'ECDSA P-256 SHA-256', p256, otherP256,
+        ( pair, data ) => signBytes( 'sha256', pair.privateKey, data, P1363 ),
+        ( pair, data, signature ) => verifyEcdsa( 'P-256', 'SHA-256', ecPublic( pair ), data, signature ),
+    ],
+    [
+        'ECDSA P-384 SHA-384', p384, otherP384,
+        ( pair, data ) => signBytes( 'sha384', pair.privateKey, data, P1363 ),
+        ( pair, data, signature ) => verifyEcdsa( 'P-384', 'SHA-384', ecPublic( pair ), data, signature ),
+    ],
+    [
+        'Ed25519', ed25519, otherEd25519,
+        ( pair, data ) => signBytes( null, pair.privateKey, data ),
+        ( pair, data, signature ) => verifyEd25519( fromBase64Url( pair.jwk.x ), data, signature ),
+    ],
+];
+
+describe.each( SCHEMES )( '%s', ( _, pair, otherPair, sign, verify ) =>
+{
+    const signature = sign( pair, DATA );
+
+    it( 'accepts a valid signature', () =>
+    {
+        expect( verify( pair, DATA, signature ) ).toBe( true );
+    } );
+
+    it( 'rejects a tampered payload', () =>
+    {
+        expect( verify( pair, tamper( DATA ), signature ) ).toBe( false );
+    } );
+
+    it( 'rejects a tampered signature', () =>
+    {
+        expect( verify( pair, DATA, tamper( signature ) ) ).toBe( false );
+    } );
+
+    it( 'rejects a truncated signature', () =>
+    {
+        expect( verify( pair, DATA, signature.subarray( 1 ) ) ).toBe( false );
+    } );
+
+    it( 'rejects a signature made with another key', () =>
+    {
+        expect( verify( pair, DATA, sign( otherPair, DATA ) ) ).toBe( false );
+    } );
+} );
+
+describe( 'mismatched algorithms', () =>
+{
+    it( 'rejects a PKCS#1 v1.5 signature checked as PSS and the other way round', () =>
+    {
+        const pkcs1 = signBytes( 'sha256', rsa.privateKey, DATA );
+        const pss = signBytes( 'sha256', rsa.privateKey, DATA, pssOptions( 32 ) );
+
+        expect( verifyRsaPss( 'SHA-256', rsaPublic( rsa ), DATA, pkcs1, 32 ) ).toBe( false );
+        expect( verifyRsaPkcs1( 'SHA-256', rsaPublic( rsa ), DATA, pss ) ).toBe( false );
+    } );
+
+    it( 'rejects an RSA signature checked with another hash', () =>
+    {
+        const signature = signBytes( 'sha256', rsa.privateKey, DATA );
+
+        expect( verifyRsaPkcs1( 'SHA-384', rsaPublic( rsa ), DATA, signature ) ).toBe( false );
+    } );
+
+    it( 'rejects a PSS signature checked with another salt length', () =>
+    {
+        const signature = signBytes( 'sha256', rsa3071.privateKey, DATA, pssOptions( 32 ) );
+
+        expect( verifyRsaPss( 'SHA-256', rsaPublic( rsa3071 ), DATA, signature, 20 ) ).toBe( false );
+    } );
+
+    it( 'rejects a P-256 signature checked on P-384', () =>
+    {
+        const signature = signBytes( 'sha256', p256.privateKey, DATA, P1363 );
+
+        expect( verifyEcdsa( 'P-384', 'SHA-256', ecPublic( p384 ), DATA, signature ) ).toBe( false );
+    } );
+
+    it( 'rejects an ECDSA signature checked with another hash', () =>
+    {
+        const signature = signBytes( 'sha384', p256.privateKey, DATA, P1363 );
+
+        expect( verifyEcdsa( 'P-256', 'SHA-256', ecPublic( p256 ), DATA, signature ) ).toBe( false );
+    } );
+} );
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import { webcrypto } from '../../../src/sdk/crypto/webcrypto';
+import { P1363, createKeyPair, pssOptions, signBytes, tamper } from '../../helpers/keys';
+
+const { subtle } = webcrypto;
+
+const DATA = new Uint8Array( Buffer.from( 'header.payload' ) );
+
+const rsa = createKeyPair( 'rsa', { modulusLength: 2048 } );
+const rsa3071 = createKeyPair( 'rsa', { modulusLength: 3071 } );
+const p256 = createKeyPair( 'ec', { namedCurve: 'P-256' } );
+const p384 = createKeyPair( 'ec', { namedCurve: 'P-384' } );
+
+const RSASSA_SHA256 = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+const PSS_SHA256 = { name: 'RSA-PSS', hash: 'SHA-256' };
+
+describe( 'webcrypto subtle', () =>
+{
+    it( 'digests like node', async () =>
+    {
+        const digest = await subtle.digest( 'SHA-384', DATA );
+
+        expect( Buffer.from( digest ) ).toEqual( crypto.createHash( 'sha384' ).update( DATA ).digest() );
+    } );
+
+    // name, key pair, format, import algorithm, verify algorithm, node sign( data )
+    it.each( [
+        [ 'RSASSA-PKCS1-v1_5 jwk', rsa, 'jwk', RSASSA_SHA256, 'RSASSA-PKCS1-v1_5',
+            data => signBytes( 'sha256', rsa.privateKey, data ) ],
+        [ 'RSASSA-PKCS1-v1_5 spki', rsa, 'spki', RSASSA_SHA256, { name: 'RSASSA-PKCS1-v1_5' },
+            data => signBytes( 'sha256', rsa.privateKey, data ) ],
+        [ 'RSA-PSS spki with a 3071 bit key', rsa3071, 'spki', PSS_SHA256, { name: 'RSA-PSS', saltLength: 32 },
+            data => signBytes( 'sha256', rsa3071.privateKey, data, pssOptions( 32 ) ) ],
+        [ 'ECDSA P-256 jwk', p256, 'jwk', { name: 'ECDSA', namedCurve: 'P-256' }, { name: 'ECDSA', hash: 'SHA-256' },
+            data => signBytes( 'sha256', p256.privateKey, data, P1363 ) ],
+        [ 'ECDSA P-384 spki', p384, 'spki', { name: 'ECDSA', namedCurve: 'P-384' }, { name: 'ECDSA', hash: 'SHA-384' },
+            data => signBytes( 'sha384', p384.privateKey, data, P1363 ) ],
+    ] )( 'verifies %s signatures', async ( _, pair, format, importAlgorithm, verifyAlgorithm, sign ) =>
+    {
+        const key = await subtle.importKey( format, format === 'jwk' ? pair.jwk : pair.spki, importAlgorithm, false, [ 'verify' ] );
+        const signature = sign( DATA );
+
+        expect( await subtle.verify( verifyAlgorithm, key, signature, DATA ) ).toBe( true );
+        expect( await subtle.verify( verifyAlgorithm, key, signature, tamper( DATA ) ) ).toBe( false );
+        expect( await subtle.verify( verifyAlgorithm, key, tamper( signature ), DATA ) ).toBe( false );
+    } );
+
+    it( 'reports the imported RSA key parameters', async () =>
+    {
+        const key = await subtle.importKey( 'spki', rsa3071.spki, PSS_SHA256, false, [ 'verify' ] );
+
+        // OpenSSL may return one bit less than requested, either way not a multiple of 8
+        const { modulusLength } = crypto.createPublicKey( { key: Buffer.from( rsa3071.spki ), format: 'der', type: 'spki' } )
+            .asymmetricKeyDetails;
+
+        expect( modulusLength % 8 ).not.toBe( 0 );
+        expect( key.algorithm ).toMatchObject( { name: 'RSA-PSS', hash: { name: 'SHA-256' }, modulusLength } );
+    } );
+
+    it( 'rejects a signature made with another key', async () =>
+    {
+        const key = await subtle.importKey( 'jwk', p256.jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, [ 'verify' ] );
+        const other = createKeyPair( 'ec', { namedCurve: 'P-256' } );
+
+        const signature = signBytes( 'sha256', other.privateKey, DATA, P1363 );
+
+        expect( await subtle.verify( { name: 'ECDSA', hash: 'SHA-256' }, key, signature, DATA ) ).toBe( false );
+    } );
+
+    it( 'refuses a key imported for another algorithm', async () =>
+    {
+        const key = await subtle.importKey( 'spki', rsa.spki, RSASSA_SHA256, false, [ 'verify' ] );
+        const signature = signBytes( 'sha256', rsa.privateKey, DATA, pssOptions( 32 ) );
+
+        await expect( subtle.verify( { name: 'RSA-PSS', saltLength: 32 }, key, signature, DATA ) )
+            .rejects.toMatchObject( { name: 'InvalidAccessError' } );
+    } );
+
+    it( 'refuses key objects it did not import', async () =>
+    {
+        const forged = { type: 'public', algorithm: { name: 'ECDSA', namedCurve: 'P-256' }, usages: [ 'verify' ] };
+
+        await expect( subtle.verify( { name: 'ECDSA', hash: 'SHA-256' }, forged, new Uint8Array( 64 ), DATA ) )
+            .rejects.toMatchObject( { name: 'InvalidAccessError' } );
+    } );
+
+    it.each( [
+        [ 'an EC JWK on another curve', 'jwk', p256.jwk, { name: 'ECDSA', namedCurve: 'P-384' }, 'DataError' ],
+        [ 'an EC SPKI on another curve', 'spki', p256.spki, { name: 'ECDSA', namedCurve: 'P-384' }, 'DataError' ],
+        [ 'an RSA SPKI as ECDSA', 'spki', rsa.spki, { name: 'ECDSA', namedCurve: 'P-256' }, 'DataError' ],
+        [ 'an EC SPKI as RSA', 'spki', p256.spki, RSASSA_SHA256, 'DataError' ],
+        [ 'an RS256 JWK as RSA-PSS', 'jwk', Object.assign( {}, rsa.jwk, { alg: 'RS256' } ), PSS_SHA256, 'DataError' ],
+        [ 'a private JWK', 'jwk', Object.assign( {}, p256.jwk, { d: 'AAAA' } ), { name: 'ECDSA', namedCurve: 'P-256' }, 'NotSupportedError' ],
+        [ 'an unsupported algorithm', 'spki', rsa.spki, { name: 'RSA-OAEP', hash: 'SHA-256' }, 'NotSupportedError' ],
+    ] )( 'refuses to import %s', async ( _, format, keyData, algorithm, errorName ) =>
+    {
+        await expect( subtle.importKey( format, keyData, algorithm, false, [ 'verify' ] ) )
+            .rejects.toMatchObject( { name: errorName } );
+    } );
+
+    it( 'refuses usages other than verify', async () =>
+    {
+        await expect( subtle.importKey( 'spki', rsa.spki, RSASSA_SHA256, false, [ 'sign' ] ) )
+            .rejects.toMatchObject( { name: 'SyntaxError' } );
+    } );
+} );
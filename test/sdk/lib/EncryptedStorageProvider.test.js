@@ -0,0 +1,37 @@
+import { EncryptedStorageProvider } from '../../../src/sdk/lib/EncryptedStorageProvider';
+import { MemoryStorageProvider } from '../../../src/sdk/lib/MemoryStorageProvider';
+import { ErrorCodes, StorageError } from '../../../src/sdk/utils/errors';
+
+const KEY = new Uint8Array( 32 ).fill( 7 );
+
+describe( 'EncryptedStorageProvider', () =>
+{
+    it( 'round trips a value', async () =>
+    {
+        const provider = new MemoryStorageProvider();
+        const encrypted = new EncryptedStorageProvider( provider, () => KEY );
+
+        await encrypted.setItem( 'entry', '{"a":1}' );
+
+        expect( provider.getItem( 'entry' ) ).not.toContain( '"a"' );
+        expect( await encrypted.getItem( 'entry' ) ).toBe( '{"a":1}' );
+    } );
+
+    it( 'reports a failing key source as a StorageError and keeps the entry', async () =>
+    {
+        const provider = new MemoryStorageProvider();
+        await new EncryptedStorageProvider( provider, () => KEY ).setItem( 'entry', '{"a":1}' );
+        const keystoreFailure = new Error( 'keystore locked' );
+        const encrypted = new EncryptedStorageProvider( provider, async () =>
+        {
+            throw keystoreFailure;
+        } );
+
+        const error = await encrypted.getItem( 'entry' ).catch( e => e );
+
+        expect( error ).toBeInstanceOf( StorageError );
+        expect( error.code ).toBe( ErrorCodes.STORAGE );
+        expect( error.cause ).toBe( keystoreFailure );
+        expect( provider.getItem( 'entry' ) ).toBeTruthy();
+    } );
+} );
@@ -0,0 +1,139 @@
+import TokenManager from '../../../src/sdk/lib/TokenManager';
+import { MemoryStorageProvider } from '../../../src/sdk/lib/MemoryStorageProvider';
+import { createStorageClass } from '../../../src/sdk/lib/StorageManager';
+import { JWKS_POLICY_PINNED_ONLY } from '../../../src/sdk/crypto/jwks';
+import { ErrorCodes } from '../../../src/sdk/utils/errors';
+import { createSigner, nowSeconds } from '../../helpers/jwt';
+
+const { sign, jwks } = createSigner();
+
+const createTokenManager = ( opts = {} ) => new TokenManager(
+    createStorageClass( new MemoryStorageProvider() ),
+    'https://id.example.com/token',
+    'https://id.example.com/jwks',
+    'client',
+    Object.assign( { pinnedJwks: jwks, jwksPolicy: JWKS_POLICY_PINNED_ONLY, autoRenew: false }, opts )
+);
+
+const idToken = ( claims = {} ) => sign( Object.assign( {
+    iss: 'OpenCampus',
+    aud: 'client',
+    sub: 'user',
+    exp: nowSeconds() + 600,
+}, claims ) );
+
+const respondWith = ( body ) =>
+{
+    global.fetch = jest.fn( async () => ( { ok: true, status: 200, json: async () => body } ) );
+};
+
+afterEach( () =>
+{
+    delete global.fetch;
+} );
+
+describe( 'TokenManager max_age', () =>
+{
+    const authTime = nowSeconds() - 3600;
+
+    it( 'enforces max_age on the authorization code exchange', async () =>
+    {
+        const tokenManager = createTokenManager( { claimsPolicy: { maxAge: 300 } } );
+        respondWith( { access_token: 'access', id_token: idToken( { auth_time: authTime } ) } );
+
+        await expect( tokenManager.exchangeTokenFromCode( 'code', 'verifier' ) )
+            .rejects.toMatchObject( { code: ErrorCodes.MAX_AGE_EXCEEDED } );
+    } );
+
+    it( 'renews sessions older than max_age', async () =>
+    {
+        const tokenManager = createTokenManager( { claimsPolicy: { maxAge: 300 } } );
+        await tokenManager.storageManager.getStorageObject().setStorage( {
+            access_token: 'old',
+            id_token: idToken( { auth_time: authTime } ),
+            refresh_token: 'refresh',
+            expired: 0,
+        } );
+        respondWith( { access_token: 'new', id_token: idToken( { auth_time: authTime } ) } );
+
+        await tokenManager.renewTokens();
+
+        expect( await tokenManager.getAccessToken() ).toBe( 'new' );
+    } );
+} );
+
+describe( 'TokenManager renewal scheduling', () =>
+{
+    beforeEach( () =>
+    {
+        jest.useFakeTimers();
+    } );
+
+    afterEach( () =>
+    {
+        jest.useRealTimers();
+    } );
+
+    it( 'renews tokens living shorter than renewBeforeSeconds halfway through their lifetime', async () =>
+    {
+        const tokenManager = createTokenManager( { autoRenew: true } );
+        respondWith( { access_token: 'access', id_token: idToken( { exp: nowSeconds() + 45 } ), refresh_token: 'refresh' } );
+        await tokenManager.exchangeTokenFromCode( 'code', 'verifier' );
+
+        await jest.advanceTimersByTimeAsync( 20000 );
+        expect( global.fetch ).toHaveBeenCalledTimes( 1 );
+
+        await jest.advanceTimersByTimeAsync( 3000 );
+        expect( global.fetch ).toHaveBeenCalledTimes( 2 );
+        tokenManager.cancelRenewal();
+    } );
+
+    it( 'waits at least a second before renewing already expired tokens', async () =>
+    {
+        const tokenManager = createTokenManager( { autoRenew: true } );
+        respondWith( { access_token: 'access', id_token: idToken(), refresh_token: 'refresh' } );
+        await tokenManager.storageManager.getStorageObject().setStorage( { access_token: 'old', refresh_token: 'refresh' } );
+
+        tokenManager.scheduleRenewal( nowSeconds() - 10, true );
+        await jest.advanceTimersByTimeAsync( 999 );
+        expect( global.fetch ).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync( 1 );
+        expect( global.fetch ).toHaveBeenCalledTimes( 1 );
+        tokenManager.cancelRenewal();
+    } );
+} );
+
+describe( 'TokenManager expiry', () =>
+{
+    it( 'takes the expiry from the verified id_token, not expires_in', async () =>
+    {
+        const tokenManager = createTokenManager();
+        const exp = nowSeconds() + 600;
+        respondWith( { access_token: 'access', id_token: idToken( { exp } ), refresh_token: 'refresh', expires_in: 60 } );
+
+        await tokenManager.exchangeTokenFromCode( 'code', 'verifier' );
+
+        expect( await tokenManager.getExpiredAt() ).toBe( exp );
+    } );
+
+    it( 'keeps the previous expiry and stops renewing on an expires_in only renewal', async () =>
+    {
+        const tokenManager = createTokenManager();
+        const previousExpiry = nowSeconds() + 30;
+        await tokenManager.storageManager.getStorageObject().setStorage( {
+            access_token: 'old',
+            id_token: idToken(),
+            refresh_token: 'refresh',
+            expired: previousExpiry,
+        } );
+        respondWith( { access_token: 'new', refresh_token: 'rotated', expires_in: 3600 } );
+
+        await tokenManager.renewTokens();
+
+        expect( await tokenManager.getAccessToken() ).toBe( 'new' );
+        expect( await tokenManager.getExpiredAt() ).toBe( previousExpiry );
+        expect( await tokenManager.getRefreshToken() ).toBeFalsy();
+        expect( await tokenManager.canRenew() ).toBe( false );
+    } );
+} );
@@ -0,0 +1,36 @@
+import TransactionManager from '../../../src/sdk/lib/TransactionManager';
+import { MemoryStorageProvider } from '../../../src/sdk/lib/MemoryStorageProvider';
+import { createStorageClass } from '../../../src/sdk/lib/StorageManager';
+
+const LEGACY_STORAGE_NAME = 'oc-transaction-storage';
+
+describe( 'TransactionManager legacy storage', () =>
+{
+    it( 'discards an un-namespaced transaction instead of adopting it', async () =>
+    {
+        const provider = new MemoryStorageProvider();
+        await provider.setItem( LEGACY_STORAGE_NAME, JSON.stringify( {
+            codeChallenge: 'challenge',
+            codeVerifier: 'verifier',
+            csrfToken: 'csrf',
+        } ) );
+        const transactionManager = new TransactionManager( createStorageClass( provider ), 'sandbox:client' );
+
+        await expect( transactionManager.migrateLegacyStorage() ).resolves.toBe( false );
+
+        expect( await transactionManager.hasActiveTransaction() ).toBe( false );
+        expect( await provider.getItem( LEGACY_STORAGE_NAME ) ).toBeFalsy();
+    } );
+
+    it( 'keeps the namespaced transaction', async () =>
+    {
+        const provider = new MemoryStorageProvider();
+        const transactionManager = new TransactionManager( createStorageClass( provider ), 'sandbox:client' );
+        await transactionManager.save( { codeChallenge: 'challenge', codeVerifier: 'verifier' } );
+        await provider.setItem( LEGACY_STORAGE_NAME, JSON.stringify( { codeChallenge: 'other', codeVerifier: 'other' } ) );
+
+        await transactionManager.migrateLegacyStorage();
+
+        expect( await transactionManager.getTransactionMeta() ).toMatchObject( { codeChallenge: 'challenge' } );
+    } );
+} );
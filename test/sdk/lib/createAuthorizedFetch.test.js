@@ -0,0 +1,149 @@
+import { OCAuthSandbox } from '../../../src/sdk/auth';
+import { createAuthorizedFetch } from '../../../src/sdk/lib/createAuthorizedFetch';
+import { EVENT_SIGN_IN_REQUIRED } from '../../../src/sdk/lib/TokenManager';
+import { SignInRequiredError } from '../../../src/sdk/utils/errors';
+import { nowSeconds } from '../../helpers/jwt';
+
+jest.mock( 'expo-web-browser', () => ( { openAuthSessionAsync: jest.fn() } ) );
+
+const API_URL = 'https://api.example.com/me';
+
+const respond = ( status ) => new Response( null, { status } );
+
+const authorization = ( call ) => new Headers( call[ 1 ].headers ).get( 'Authorization' );
+
+const setup = async ( tokens = {} ) =>
+{
+    const ocAuth = new OCAuthSandbox( { redirectUri: 'app://cb', storage: 'memory', autoRenew: false } );
+    const { tokenManager } = ocAuth;
+    const storeTokens = ( accessToken ) => tokenManager.storageManager.getStorageObject().setStorage( Object.assign( {
+        access_token: accessToken,
+        id_token: 'id',
+        refresh_token: 'refresh',
+        expired: nowSeconds() + 600,
+    }, tokens ) );
+    await storeTokens( 'access' );
+
+    // the renewal stores `renewed`, unless a test makes it fail
+    const renew = jest.spyOn( tokenManager, '_renewTokens' ).mockImplementation( () => storeTokens( 'renewed' ) );
+    const baseFetch = jest.fn( async () => respond( 200 ) );
+    const signInRequired = jest.fn();
+    tokenManager.subscribe( EVENT_SIGN_IN_REQUIRED, signInRequired );
+
+    return { ocAuth, renew, baseFetch, signInRequired, authorizedFetch: createAuthorizedFetch( ocAuth, { fetch: baseFetch } ) };
+};
+
+describe( 'createAuthorizedFetch', () =>
+{
+    it( 'sends the access token as a bearer token next to the caller headers', async () =>
+    {
+        const { baseFetch, authorizedFetch } = await setup();
+
+        await authorizedFetch( API_URL, { headers: { 'X-Request-Id': '1' } } );
+
+        const headers = new Headers( baseFetch.mock.calls[ 0 ][ 1 ].headers );
+        expect( headers.get( 'Authorization' ) ).toBe( 'Bearer access' );
+        expect( headers.get( 'X-Request-Id' ) ).toBe( '1' );
+    } );
+
+    it( 'keeps the headers of a Request input', async () =>
+    {
+        const { baseFetch, authorizedFetch } = await setup();
+
+        await authorizedFetch( new Request( API_URL, { headers: { 'X-Request-Id': '1' } } ) );
+
+        const headers = new Headers( baseFetch.mock.calls[ 0 ][ 1 ].headers );
+        expect( headers.get( 'Authorization' ) ).toBe( 'Bearer access' );
+        expect( headers.get( 'X-Request-Id' ) ).toBe( '1' );
+    } );
+
+    it( 'waits for an in-flight renewal', async () =>
+    {
+        const { ocAuth, renew, baseFetch, authorizedFetch } = await setup();
+        let finishRenewal;
+        renew.mockImplementationOnce( () => new Promise( resolve =>
+        {
+            finishRenewal = resolve;
+        } ).then( () => ocAuth.tokenManager.storageManager.getStorageObject().updateStorage( 'access_token', 'renewed' ) ) );
+
+        const renewal = ocAuth.tokenManager.renewTokens();
+        const request = authorizedFetch( API_URL );
+        await new Promise( resolve => setTimeout( resolve, 0 ) );
+        expect( baseFetch ).not.toHaveBeenCalled();
+
+        finishRenewal();
+        await renewal;
+        await request;
+
+        expect( authorization( baseFetch.mock.calls[ 0 ] ) ).toBe( 'Bearer renewed' );
+    } );
+
+    it( 'renews and retries exactly once on 401', async () =>
+    {
+        const { renew, baseFetch, authorizedFetch } = await setup();
+        baseFetch.mockImplementation( async () => respond( 401 ) );
+
+        const response = await authorizedFetch( API_URL );
+
+        expect( response.status ).toBe( 401 );
+        expect( renew ).toHaveBeenCalledTimes( 1 );
+        expect( baseFetch ).toHaveBeenCalledTimes( 2 );
+        expect( authorization( baseFetch.mock.calls[ 1 ] ) ).toBe( 'Bearer renewed' );
+    } );
+
+    it( 'retries a Request with an unread copy of its body', async () =>
+    {
+        const { baseFetch, authorizedFetch } = await setup();
+        baseFetch.mockImplementationOnce( async ( input ) =>
+        {
+            await input.text();
+            return respond( 401 );
+        } );
+
+        const response = await authorizedFetch( new Request( API_URL, { method: 'POST', body: 'payload' } ) );
+
+        expect( response.status ).toBe( 200 );
+        expect( await baseFetch.mock.calls[ 1 ][ 0 ].text() ).toBe( 'payload' );
+    } );
+
+    it( 'renews but does not resend a stream body', async () =>
+    {
+        const { renew, baseFetch, authorizedFetch } = await setup();
+        baseFetch.mockImplementation( async () => respond( 401 ) );
+        const body = new ReadableStream( {
+            start ( controller )
+            {
+                controller.enqueue( new TextEncoder().encode( 'payload' ) );
+                controller.close();
+            },
+        } );
+
+        const response = await authorizedFetch( API_URL, { method: 'POST', body, duplex: 'half' } );
+
+        expect( response.status ).toBe( 401 );
+        expect( renew ).toHaveBeenCalledTimes( 1 );
+        expect( baseFetch ).toHaveBeenCalledTimes( 1 );
+    } );
+
+    it( 'emits EVENT_SIGN_IN_REQUIRED when the renewal after a 401 fails', async () =>
+    {
+        const { renew, baseFetch, signInRequired, authorizedFetch } = await setup();
+        baseFetch.mockImplementation( async () => respond( 401 ) );
+        renew.mockRejectedValue( new Error( 'invalid_grant' ) );
+
+        const response = await authorizedFetch( API_URL );
+
+        expect( response.status ).toBe( 401 );
+        expect( baseFetch ).toHaveBeenCalledTimes( 1 );
+        expect( signInRequired ).toHaveBeenCalledTimes( 1 );
+    } );
+
+    it( 'throws SignInRequiredError and emits EVENT_SIGN_IN_REQUIRED when an expired session cannot renew', async () =>
+    {
+        const { baseFetch, signInRequired, authorizedFetch } = await setup( { expired: nowSeconds() - 10, refresh_token: undefined } );
+
+        await expect( authorizedFetch( API_URL ) ).rejects.toThrow( SignInRequiredError );
+        expect( baseFetch ).not.toHaveBeenCalled();
+        expect( signInRequired ).toHaveBeenCalledTimes( 1 );
+    } );
+} );
@@ -0,0 +1,34 @@
+import PKCE, { MAX_VERIFIER_LENGTH, MIN_VERIFIER_LENGTH } from '../../../src/sdk/lib/pkce';
+import { ConfigurationError, InvalidParamsError } from '../../../src/sdk/utils/errors';
+
+describe( 'pkce', () =>
+{
+    it( 'derives the RFC 7636 appendix B S256 challenge', async () =>
+    {
+        await expect( PKCE.computeChallenge( 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk' ) )
+            .resolves.toBe( 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM' );
+    } );
+
+    it( 'generates base64url verifiers sized by the byte length', () =>
+    {
+        const short = PKCE.generateVerifier();
+        const long = PKCE.generateVerifier( 96 );
+
+        expect( short ).toHaveLength( MIN_VERIFIER_LENGTH );
+        expect( long ).toHaveLength( MAX_VERIFIER_LENGTH );
+        expect( PKCE.isValidVerifier( short ) && PKCE.isValidVerifier( long ) ).toBe( true );
+        expect( PKCE.generateVerifier() ).not.toBe( short );
+    } );
+
+    it( 'rejects byte lengths outside the RFC range', () =>
+    {
+        expect( () => PKCE.generateVerifier( 31 ) ).toThrow( ConfigurationError );
+        expect( () => PKCE.generateVerifier( 97 ) ).toThrow( ConfigurationError );
+    } );
+
+    it( 'rejects verifiers outside the RFC charset or length', () =>
+    {
+        expect( () => PKCE.computeChallenge( 'a'.repeat( 42 ) ) ).toThrow( InvalidParamsError );
+        expect( () => PKCE.computeChallenge( 'a'.repeat( 42 ) + '+' ) ).toThrow( InvalidParamsError );
+    } );
+} );
@@ -0,0 +1,57 @@
+import { EncryptedStorageProvider } from '../../../src/sdk/lib/EncryptedStorageProvider';
+import { MemoryStorageProvider } from '../../../src/sdk/lib/MemoryStorageProvider';
+import { createStorageClass } from '../../../src/sdk/lib/StorageManager';
+import { STORAGE_KIND_TOKEN, migrateStorageSchema } from '../../../src/sdk/lib/storageMigrations';
+import { StorageError } from '../../../src/sdk/utils/errors';
+
+const KEY = new Uint8Array( 32 ).fill( 7 );
+const STORAGE_NAME = 'oc-token-storage:sandbox:client';
+const LEGACY_STORAGE_NAME = 'oc-token-storage';
+
+const lockedKeySource = async () =>
+{
+    throw new Error( 'keychain locked' );
+};
+
+// an encrypted, unversioned blob under `storageName`, readable with KEY only
+const writeEncrypted = async ( provider, storageName ) =>
+{
+    await new EncryptedStorageProvider( provider, () => KEY )
+        .setItem( storageName, JSON.stringify( { access_token: 'access', refresh_token: 'refresh' } ) );
+    return provider.getItem( storageName );
+};
+
+describe( 'storage migrations with a locked key source', () =>
+{
+    it( 'keeps the blob and throws from the schema migration', async () =>
+    {
+        const provider = new MemoryStorageProvider();
+        const blob = await writeEncrypted( provider, STORAGE_NAME );
+        const StorageClass = createStorageClass( new EncryptedStorageProvider( provider, lockedKeySource ) );
+
+        await expect( migrateStorageSchema( new StorageClass( STORAGE_NAME, 1 ), STORAGE_KIND_TOKEN ) )
+            .rejects.toThrow( StorageError );
+        expect( provider.getItem( STORAGE_NAME ) ).toBe( blob );
+    } );
+
+    it( 'keeps the legacy blob and throws from the legacy migration', async () =>
+    {
+        const provider = new MemoryStorageProvider();
+        const blob = await writeEncrypted( provider, LEGACY_STORAGE_NAME );
+        const StorageClass = createStorageClass( new EncryptedStorageProvider( provider, lockedKeySource ) );
+
+        await expect( new StorageClass( STORAGE_NAME, 1 ).migrateFrom( LEGACY_STORAGE_NAME ) )
+            .rejects.toThrow( StorageError );
+        expect( provider.getItem( LEGACY_STORAGE_NAME ) ).toBe( blob );
+    } );
+
+    it( 'still discards a blob that cannot be decoded', async () =>
+    {
+        const provider = new MemoryStorageProvider();
+        provider.setItem( STORAGE_NAME, '{not json' );
+        const StorageClass = createStorageClass( provider );
+
+        await expect( migrateStorageSchema( new StorageClass( STORAGE_NAME, 1 ), STORAGE_KIND_TOKEN ) ).resolves.toBe( false );
+        expect( provider.getItem( STORAGE_NAME ) ).toBeNull();
+    } );
+} );
@@ -0,0 +1,137 @@
+import TokenManager from '../../../src/sdk/lib/TokenManager';
+import { MemoryStorageProvider } from '../../../src/sdk/lib/MemoryStorageProvider';
+import { createStorageClass } from '../../../src/sdk/lib/StorageManager';
+import {
+    GRANT_AUTHORIZATION_CODE,
+    GRANT_REFRESH_TOKEN,
+    getTokenExchangeStrategy,
+    proxyTokenExchange,
+} from '../../../src/sdk/lib/tokenExchange';
+import { TokenExchangeError, TokenRenewalError } from '../../../src/sdk/utils/errors';
+import { nowSeconds } from '../../helpers/jwt';
+
+const TOKEN_ENDPOINT = 'https://id.example.com/token';
+
+const mockFetch = ( status, body ) =>
+{
+    global.fetch = jest.fn( async () => ( { ok: status < 400, status, json: async () => body } ) );
+    return global.fetch;
+};
+
+const lastRequest = () =>
+{
+    const [ url, init ] = global.fetch.mock.calls[ global.fetch.mock.calls.length - 1 ];
+    return { url, contentType: init.headers[ 'Content-Type' ], body: init.body };
+};
+
+const CODE_REQUEST = {
+    grantType: GRANT_AUTHORIZATION_CODE,
+    tokenEndPoint: TOKEN_ENDPOINT,
+    clientId: 'client',
+    redirectUri: 'app://cb',
+    code: 'code',
+    codeVerifier: 'verifier',
+};
+const REFRESH_REQUEST = {
+    grantType: GRANT_REFRESH_TOKEN,
+    tokenEndPoint: TOKEN_ENDPOINT,
+    clientId: 'client',
+    refreshToken: 'refresh',
+};
+
+afterEach( () =>
+{
+    delete global.fetch;
+} );
+
+describe( 'token exchange strategies', () =>
+{
+    beforeEach( () => mockFetch( 200, { access_token: 'access' } ) );
+
+    it( 'posts OCID JSON bodies', async () =>
+    {
+        const ocid = getTokenExchangeStrategy( 'ocid' );
+
+        await ocid( CODE_REQUEST );
+        expect( lastRequest() ).toEqual( {
+            url: TOKEN_ENDPOINT,
+            contentType: 'application/json',
+            body: JSON.stringify( { accessCode: 'code', codeVerifier: 'verifier' } ),
+        } );
+
+        await ocid( REFRESH_REQUEST );
+        expect( JSON.parse( lastRequest().body ) ).toEqual( { refreshToken: 'refresh', clientId: 'client' } );
+    } );
+
+    it( 'posts RFC 6749 form grants', async () =>
+    {
+        const standard = getTokenExchangeStrategy( 'standard' );
+
+        await standard( CODE_REQUEST );
+        expect( lastRequest() ).toEqual( {
+            url: TOKEN_ENDPOINT,
+            contentType: 'application/x-www-form-urlencoded',
+            body: 'grant_type=authorization_code&code=code&redirect_uri=app%3A%2F%2Fcb&client_id=client&code_verifier=verifier',
+        } );
+
+        await standard( REFRESH_REQUEST );
+        expect( lastRequest() ).toEqual( {
+            url: TOKEN_ENDPOINT,
+            contentType: 'application/x-www-form-urlencoded',
+            body: 'grant_type=refresh_token&refresh_token=refresh&client_id=client',
+        } );
+    } );
+
+    it( 'posts the proxy contract', async () =>
+    {
+        await proxyTokenExchange( CODE_REQUEST );
+        expect( JSON.parse( lastRequest().body ) ).toEqual( {
+            code: 'code',
+            codeVerifier: 'verifier',
+            redirectUri: 'app://cb',
+            clientId: 'client',
+        } );
+
+        await proxyTokenExchange( REFRESH_REQUEST );
+        expect( JSON.parse( lastRequest().body ) ).toEqual( { refreshToken: 'refresh', clientId: 'client' } );
+    } );
+
+    it( 'types failures by grant', async () =>
+    {
+        mockFetch( 400, { error: 'invalid_grant' } );
+        const standard = getTokenExchangeStrategy( 'standard' );
+
+        await expect( standard( CODE_REQUEST ) ).rejects.toThrow( TokenExchangeError );
+        await expect( standard( REFRESH_REQUEST ) ).rejects.toThrow( TokenRenewalError );
+    } );
+} );
+
+describe( 'TokenManager renewal', () =>
+{
+    it( 'refreshes through the configured strategy', async () =>
+    {
+        const tokenManager = new TokenManager(
+            createStorageClass( new MemoryStorageProvider() ),
+            TOKEN_ENDPOINT,
+            'https://id.example.com/jwks',
+            'client',
+            { tokenExchange: 'standard', redirectUri: 'app://cb', autoRenew: false }
+        );
+        await tokenManager.storageManager.getStorageObject().setStorage( {
+            access_token: 'old',
+            id_token: 'id',
+            refresh_token: 'refresh',
+            expired: nowSeconds() + 30,
+        } );
+        mockFetch( 200, { access_token: 'new', expires_in: 3600 } );
+
+        await tokenManager.renewTokens();
+
+        expect( lastRequest() ).toEqual( {
+            url: TOKEN_ENDPOINT,
+            contentType: 'application/x-www-form-urlencoded',
+            body: 'grant_type=refresh_token&refresh_token=refresh&client_id=client',
+        } );
+        expect( await tokenManager.getAccessToken() ).toBe( 'new' );
+    } );
+} );
@@ -0,0 +1,4 @@
+import { configureLogger } from '../src/sdk/utils/logger';
+
+// keep the expected failure logs of the suites out of the test output
+configureLogger( { level: 'silent' } );